@@ -0,0 +1,79 @@
+import { readFileSync } from 'node:fs';
+
+// Users and what they may see, from a JSON file given with --users:
+//   { "users": [{ "id": "bob", "token": "...", "expiresAt": "2030-01-01T00:00:00Z",
+//                 "symbols": ["AAPL", "MSFT"], "fields": ["price", "bid", "ask"] }] }
+// expiresAt, symbols and fields are optional; leaving symbols or fields out
+// (or null) grants all of them.
+
+// Close codes sent with the typed errors below
+export const AUTH_CLOSE_CODES = {
+  UNAUTHORIZED: 4001,
+  TOKEN_EXPIRED: 4002,
+};
+
+function isStringListOrNull(value) {
+  return value === null || (Array.isArray(value) && value.every((item) => typeof item === 'string'));
+}
+
+// Returns a Map of token -> { user, expiresAt, entitlement }, where
+// entitlement is { symbols: Set | null, fields: Set | null }, or null when
+// the user may see everything. Throws on a malformed file.
+export function loadEntitlements(file) {
+  const { users } = JSON.parse(readFileSync(file, 'utf8'));
+  if (!Array.isArray(users)) throw new Error('expected a "users" array');
+
+  const tokens = new Map();
+  users.forEach((user, i) => {
+    const { id, token, expiresAt = null, symbols = null, fields = null } = user ?? {};
+    if (typeof id !== 'string' || typeof token !== 'string' || token === '') {
+      throw new Error(`user ${i} needs an id and a token`);
+    }
+    if (tokens.has(token)) throw new Error(`user ${id} reuses another user's token`);
+    const expiry = expiresAt === null ? null : Date.parse(expiresAt);
+    if (Number.isNaN(expiry)) throw new Error(`user ${id} has an invalid expiresAt`);
+    if (!isStringListOrNull(symbols) || !isStringListOrNull(fields)) {
+      throw new Error(`user ${id} symbols and fields must be string arrays or null`);
+    }
+    tokens.set(token, {
+      user: id,
+      expiresAt: expiry,
+      entitlement:
+        symbols === null && fields === null
+          ? null
+          : { symbols: symbols && new Set(symbols), fields: fields && new Set(fields) },
+    });
+  });
+  return tokens;
+}
+
+// Check a token: returns { user, expiresAt, entitlement }, or { error, message }
+// with error one of the AUTH_CLOSE_CODES keys
+export function authenticate(tokens, token, now = Date.now()) {
+  const account = token ? tokens.get(token) : undefined;
+  if (!account) return { error: 'UNAUTHORIZED', message: 'Missing or unknown token' };
+  if (account.expiresAt !== null && account.expiresAt <= now) {
+    return { error: 'TOKEN_EXPIRED', message: `Token for ${account.user} has expired` };
+  }
+  return account;
+}
+
+// Narrow a subscription ({ symbols, fields } of Sets or nulls, or null for
+// everything) to an entitlement of the same shape
+export function restrictSubscription(subscription, entitlement) {
+  if (!entitlement) return subscription;
+  if (!subscription) return entitlement;
+  const intersect = (wanted, allowed) =>
+    !allowed ? wanted : !wanted ? allowed : new Set([...wanted].filter((item) => allowed.has(item)));
+  return {
+    symbols: intersect(subscription.symbols, entitlement.symbols),
+    fields: intersect(subscription.fields, entitlement.fields),
+  };
+}
+
+// Whether an entitlement covers a symbol and all of the given fields
+export function isEntitled(entitlement, symbol, fields = []) {
+  if (!entitlement) return true;
+  if (entitlement.symbols && !entitlement.symbols.has(symbol)) return false;
+  return !entitlement.fields || fields.every((field) => entitlement.fields.has(field));
+}
@@ -0,0 +1,360 @@
+import { execFileSync, spawn } from 'node:child_process';
+import { writeFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import WebSocket from 'ws';
+import { createHub } from './src/market-hub.js';
+import { createDictionary, decodeUpdate } from './src/wire-format.js';
+
+// Load generator: starts server.js, drives simulated tabs through the hub
+// (createHub with stand-in ports, as in the shared worker) and raw WebSocket
+// clients straight at the server, then reports throughput, dedup in the
+// 16.67ms batch, hub CPU time per update and latency percentiles as JSON:
+//   node loadtest.js --ports 200 --feeds 2 --clients 20 --instruments 500 \
+//     --fields 20 --frequency 10 --batch 10-30 --duration 30 --out run.json
+// Everything but the server runs in this process, so latencies include time
+// spent queued behind the other simulated clients.
+const { values: args } = parseArgs({
+  options: {
+    ports: { type: 'string' },
+    feeds: { type: 'string' },
+    clients: { type: 'string' },
+    instruments: { type: 'string' },
+    fields: { type: 'string' },
+    frequency: { type: 'string' },
+    batch: { type: 'string' },
+    duration: { type: 'string' },
+    warmup: { type: 'string' },
+    port: { type: 'string' },
+    binary: { type: 'boolean' },
+    out: { type: 'string' },
+  },
+});
+
+function integer(name, value, fallback, min = 1, max = Infinity) {
+  if (value === undefined || value === '') return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    const range = max === Infinity ? `of at least ${min}` : `from ${min} to ${max}`;
+    console.error(`Invalid ${name}: ${value} (expected an integer ${range})`);
+    process.exit(1);
+  }
+  return number;
+}
+
+function batchRange(value) {
+  const match = /^(\d+)-(\d+)$/.exec(value);
+  if (!match || Number(match[1]) < 1 || Number(match[1]) > Number(match[2])) {
+    console.error(`Invalid batch: ${value} (expected min-max rows per burst, e.g. 10-30)`);
+    process.exit(1);
+  }
+  return { min: Number(match[1]), max: Number(match[2]) };
+}
+
+const config = {
+  ports: integer('ports', args.ports, 10, 0),
+  feeds: integer('feeds', args.feeds, 1),
+  clients: integer('clients', args.clients, 0, 0),
+  instruments: integer('instruments', args.instruments, 150),
+  fields: integer('fields', args.fields, 100),
+  frequency: integer('frequency', args.frequency, 10, 5, 10000), // The server's range, in ms
+  batchSize: batchRange(args.batch ?? '10-30'),
+  duration: integer('duration', args.duration, 10),
+  warmup: integer('warmup', args.warmup, 2, 0),
+  serverPort: integer('port', args.port, 8090),
+  encoding: args.binary ? 'binary' : 'json',
+};
+
+// Stdout is reserved for the results; the hub's logging of every port and
+// pong is dropped, its warnings and errors go to stderr
+const log = console.error;
+const hubLogger = { log() {}, warn: console.error, error: console.error };
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// CPU time spent in hub code: every way into it (socket events, timers and
+// port messages) is wrapped. Nested entries count once.
+let hubCpu = 0; // Microseconds
+let hubDepth = 0;
+
+function measured(fn) {
+  return function (...args) {
+    if (hubDepth > 0) return fn.apply(this, args);
+    hubDepth++;
+    const start = process.cpuUsage();
+    try {
+      return fn.apply(this, args);
+    } finally {
+      const used = process.cpuUsage(start);
+      hubCpu += used.user + used.system;
+      hubDepth--;
+    }
+  };
+}
+
+class MeasuredWebSocket extends WebSocket {
+  set onopen(handler) {
+    super.onopen = measured(handler);
+  }
+  set onmessage(handler) {
+    super.onmessage = measured(handler);
+  }
+  set onclose(handler) {
+    super.onclose = measured(handler);
+  }
+}
+
+const measuredClock = {
+  now: () => Date.now(),
+  setTimeout: (callback, delay) => setTimeout(measured(callback), delay),
+  clearTimeout: (timer) => clearTimeout(timer),
+  setInterval: (callback, delay) => setInterval(measured(callback), delay),
+  clearInterval: (timer) => clearInterval(timer),
+};
+
+// Counters and latency samples, only kept while measuring
+let measuring = false;
+const portCounts = { messages: 0, rows: 0, latencies: [] };
+const clientCounts = { messages: 0, rows: 0, latencies: [] };
+
+function countUpdate(counts, { data, timestamp }) {
+  if (!measuring) return;
+  counts.messages++;
+  counts.rows += data.length;
+  counts.latencies.push(Date.now() - timestamp);
+}
+
+// A simulated tab. postMessage clones like a MessagePort (transferred buffers
+// move for free) inside the hub's time; the tab's side runs afterwards.
+function createPort() {
+  const port = {
+    onmessage: null,
+    dictionary: null,
+    replies: [],
+    start() {},
+    close() {},
+    postMessage(message, transfer) {
+      const received = transfer ? message : structuredClone(message);
+      queueMicrotask(() => receive(port, received));
+    },
+    send: (data) => measured(port.onmessage)({ data }),
+  };
+  return port;
+}
+
+function receive(port, received) {
+  const message =
+    received instanceof ArrayBuffer ? decodeUpdate(received, port.dictionary) : received;
+  switch (message.type) {
+    case 'ping':
+      port.send({ type: 'pong' });
+      break;
+    case 'initial':
+      port.dictionary = message.dictionary ? createDictionary(message.dictionary) : null;
+      break;
+    case 'update':
+      countUpdate(portCounts, message);
+      break;
+    case 'replay':
+      message.updates.forEach((update) => countUpdate(portCounts, update));
+      break;
+    default:
+      port.replies.push(message);
+  }
+}
+
+function percentiles(samples) {
+  if (samples.length === 0) return { count: 0, p50: null, p90: null, p99: null, max: null };
+  const sorted = Float64Array.from(samples).sort();
+  const at = (p) => sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+  return { count: sorted.length, p50: at(0.5), p90: at(0.9), p99: at(0.99), max: sorted[sorted.length - 1] };
+}
+
+function startServer() {
+  const server = spawn(
+    process.execPath,
+    [
+      fileURLToPath(new URL('./server.js', import.meta.url)),
+      '--port', String(config.serverPort),
+      '--instruments', String(config.instruments),
+      '--fields', String(config.fields),
+    ],
+    { stdio: ['ignore', 'pipe', 'inherit'] }
+  );
+  return new Promise((resolve, reject) => {
+    let output = '';
+    const onData = (chunk) => {
+      output += chunk;
+      if (output.includes('WebSocket server running')) {
+        server.stdout.off('data', onData);
+        server.stdout.resume(); // Drop its per-client logging from now on
+        resolve(server);
+      }
+    };
+    server.stdout.on('data', onData);
+    server.once('exit', (code) => reject(new Error(`server.js exited with code ${code}`)));
+  });
+}
+
+function openClient(url) {
+  const ws = new WebSocket(url);
+  ws.on('message', (data) => {
+    const message = JSON.parse(data);
+    if (message.type === 'update') countUpdate(clientCounts, message);
+  });
+  return new Promise((resolve, reject) => {
+    ws.once('open', () => resolve(ws));
+    ws.once('error', reject);
+  });
+}
+
+// Send the configured frequency and batch size; resolves when the server's
+// settings match them, rejects on an error reply or after timeout ms
+function applySettings(ws, timeout = 5000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => done(new Error('Timed out waiting for the server to apply the settings')), timeout);
+    const onMessage = (data) => {
+      const message = JSON.parse(data);
+      if (message.type === 'error') {
+        done(new Error(`Server rejected the settings: ${message.message}`));
+      } else if (
+        message.type === 'settings' &&
+        message.frequency === config.frequency &&
+        message.batchSize.min === config.batchSize.min &&
+        message.batchSize.max === config.batchSize.max
+      ) {
+        done();
+      }
+    };
+    function done(error) {
+      clearTimeout(timer);
+      ws.off('message', onMessage);
+      if (error) reject(error);
+      else resolve();
+    }
+    ws.on('message', onMessage);
+    ws.send(JSON.stringify({ type: 'setFrequency', frequency: config.frequency }));
+    ws.send(JSON.stringify({ type: 'setBatchSize', ...config.batchSize }));
+  });
+}
+
+// The hub's counters summed over its feeds
+async function hubTotals(probe) {
+  probe.replies = [];
+  probe.send({ type: 'getDiagnostics' });
+  while (!probe.replies.some((message) => message.type === 'diagnostics')) {
+    await sleep(1);
+  }
+  const { feeds } = probe.replies.find((message) => message.type === 'diagnostics');
+  const totals = { messagesIn: 0, updatesIn: 0, rowsIn: 0, batchesOut: 0, rowsOut: 0 };
+  for (const feed of feeds) {
+    for (const key of Object.keys(totals)) totals[key] += feed.totals[key];
+  }
+  return totals;
+}
+
+function gitCommit() {
+  try {
+    return execFileSync('git', ['rev-parse', '--short', 'HEAD'], { encoding: 'utf8' }).trim();
+  } catch {
+    return null;
+  }
+}
+
+const server = await startServer();
+const base = `ws://localhost:${config.serverPort}`;
+log(`Server running on ${base}; connecting ${config.ports} ports on ${config.feeds} feeds and ${config.clients} clients`);
+
+// Set the tick rate for everyone and wait for the server to echo it back, so
+// a run never measures settings other than the ones it reports
+const control = await openClient(base);
+try {
+  await applySettings(control);
+} catch (error) {
+  console.error(error.message);
+  server.kill();
+  process.exit(1);
+}
+
+const hub = createHub({
+  WebSocket: MeasuredWebSocket,
+  clock: measuredClock,
+  logger: hubLogger,
+});
+const probe = createPort();
+hub.connectPort(probe);
+const ports = [];
+for (let i = 0; i < config.ports; i++) {
+  const port = createPort();
+  hub.connectPort(port);
+  // Distinct URLs are distinct feeds, each with its own upstream connection
+  port.send({ type: 'init', endpoint: `${base}/?feed=${i % config.feeds}`, encoding: config.encoding });
+  ports.push(port);
+}
+const clients = [];
+for (let i = 0; i < config.clients; i++) {
+  clients.push(await openClient(base));
+}
+control.close();
+
+log(`Warming up for ${config.warmup}s, then measuring for ${config.duration}s`);
+await sleep(config.warmup * 1000);
+
+const before = await hubTotals(probe);
+const cpuBefore = hubCpu;
+const startedAt = Date.now();
+measuring = true;
+await sleep(config.duration * 1000);
+measuring = false;
+const seconds = (Date.now() - startedAt) / 1000;
+const after = await hubTotals(probe);
+const cpu = hubCpu - cpuBefore;
+
+const delta = Object.fromEntries(Object.keys(after).map((key) => [key, after[key] - before[key]]));
+const perSecond = (value) => Number((value / seconds).toFixed(1));
+
+const results = {
+  commit: gitCommit(),
+  startedAt: new Date(startedAt).toISOString(),
+  config,
+  seconds,
+  hub: {
+    // Every server message, and the row updates among them
+    messagesInPerSecond: perSecond(delta.messagesIn),
+    updatesInPerSecond: perSecond(delta.updatesIn),
+    rowsInPerSecond: perSecond(delta.rowsIn),
+    batchesOutPerSecond: perSecond(delta.batchesOut),
+    rowsOutPerSecond: perSecond(delta.rowsOut),
+    // Rows merged away in the 16.67ms batch
+    dedupRatio: delta.rowsIn > 0 ? 1 - delta.rowsOut / delta.rowsIn : 0,
+    averageBatchRows: delta.batchesOut > 0 ? delta.rowsOut / delta.batchesOut : 0,
+    // Trades, bars, depth and heartbeats cost CPU too, but updates dominate
+    cpuMicrosPerUpdate: delta.updatesIn > 0 ? cpu / delta.updatesIn : null,
+    cpuPercent: (cpu / (seconds * 1e6)) * 100,
+  },
+  ports: {
+    count: config.ports,
+    messagesPerSecond: perSecond(portCounts.messages),
+    rowsPerSecond: perSecond(portCounts.rows),
+    latencyMs: percentiles(portCounts.latencies),
+  },
+  clients: {
+    count: config.clients,
+    messagesPerSecond: perSecond(clientCounts.messages),
+    rowsPerSecond: perSecond(clientCounts.rows),
+    latencyMs: percentiles(clientCounts.latencies),
+  },
+};
+
+ports.forEach((port) => port.send({ type: 'disconnect' }));
+probe.send({ type: 'disconnect' });
+clients.forEach((ws) => ws.close());
+server.kill();
+
+const json = JSON.stringify(results, null, 2) + '\n';
+if (args.out) {
+  writeFileSync(args.out, json);
+  log(`Results written to ${args.out}`);
+} else {
+  process.stdout.write(json);
+}
@@ -1,11 +1,172 @@
+import { randomUUID } from 'node:crypto';
+import { createWriteStream, readFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
 import { WebSocketServer } from 'ws';
+import { createSimulation, describeFields, parseProfile, PROFILES } from './simulation.js';
+import {
+  AUTH_CLOSE_CODES,
+  authenticate,
+  isEntitled,
+  loadEntitlements,
+  restrictSubscription,
+} from './entitlements.js';
+import {
+  BINARY_PROTOCOL,
+  JSON_PROTOCOL,
+  createDictionary,
+  encodeUpdate,
+  serializeDictionary,
+} from './src/wire-format.js';
 
-const wss = new WebSocketServer({ port: 8080 });
+// Options come from CLI arguments, then the environment, then defaults:
+//   node server.js --port 9090 --instruments 500 --fields 20 --bars 1s,5s,1m
+//   node server.js --profile realistic --seed 42 --record session.ndjson
+//   node server.js --replay session.ndjson --speed 10
+//   node server.js --users users.json
+const { values: args } = parseArgs({
+  options: {
+    port: { type: 'string', short: 'p' },
+    instruments: { type: 'string' },
+    fields: { type: 'string' },
+    bars: { type: 'string' },
+    profile: { type: 'string' },
+    seed: { type: 'string' },
+    record: { type: 'string' },
+    replay: { type: 'string' },
+    speed: { type: 'string' },
+    users: { type: 'string' },
+    quiet: { type: 'boolean' },
+  },
+});
+
+// --quiet drops informational logging; errors are still printed
+const log = args.quiet ? () => {} : console.log;
+
+function positiveInteger(name, value, fallback) {
+  if (value === undefined || value === '') return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    console.error(`Invalid ${name}: ${value} (expected a positive integer)`);
+    process.exit(1);
+  }
+  return number;
+}
+
+const PORT = positiveInteger('port', args.port ?? process.env.PORT, 8080);
+const INSTRUMENT_COUNT = positiveInteger(
+  'instruments',
+  args.instruments ?? process.env.INSTRUMENTS,
+  150
+);
+const METRIC_COUNT = positiveInteger('fields', args.fields ?? process.env.FIELDS, 100);
+
+// Bar intervals as a comma-separated list of durations such as 1s, 5s, 1m
+function barIntervals(value) {
+  const UNITS = { s: 1000, m: 60000, h: 3600000 };
+  const intervals = {};
+  for (const name of value.split(',').map((item) => item.trim())) {
+    const match = /^(\d+)([smh])$/.exec(name);
+    if (!match || Number(match[1]) < 1) {
+      console.error(`Invalid bar interval: ${name} (expected e.g. 1s, 5s, 1m)`);
+      process.exit(1);
+    }
+    intervals[name] = Number(match[1]) * UNITS[match[2]];
+  }
+  return intervals;
+}
+
+const BAR_INTERVALS = barIntervals(args.bars ?? process.env.BAR_INTERVALS ?? '1s,5s,1m');
+
+const PROFILE_NAME = args.profile ?? process.env.PROFILE ?? 'gbm';
+const PROFILE = parseProfile(PROFILE_NAME);
+if (!PROFILE) {
+  console.error(
+    `Invalid profile: ${PROFILE_NAME} (expected one or more of ${Object.keys(PROFILES).join(', ')}; random can't be combined)`
+  );
+  process.exit(1);
+}
+
+if (args.record && args.replay) {
+  console.error('--record and --replay cannot be used together');
+  process.exit(1);
+}
+
+// Seeded runs use mulberry32, so the same seed generates the same data
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = Math.imul(state ^ (state >>> 15), state | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const SEED = positiveInteger('seed', args.seed ?? process.env.SEED, undefined);
+const random = SEED === undefined ? Math.random : createRandom(SEED);
+// Books are built only for subscribers, so they draw from their own stream
+// and leave the update frames the same whoever subscribes
+const depthRandom = SEED === undefined ? Math.random : createRandom(SEED + 1);
 
-// Generate 150 instruments
+// Playback speed for --replay: a multiplier, or "max" for no delays
+function playbackSpeed(value) {
+  if (value === 'max') return value;
+  const speed = Number(value);
+  return Number.isFinite(speed) && speed > 0 ? speed : null;
+}
+
+const REPLAY_SPEED = playbackSpeed(args.speed ?? process.env.REPLAY_SPEED ?? '1');
+if (REPLAY_SPEED === null) {
+  console.error(`Invalid speed: ${args.speed} (expected a positive number or "max")`);
+  process.exit(1);
+}
+
+// A recording is newline-delimited JSON: an "initial" line with the snapshot,
+// then one "update" line per frame with t, its offset in ms from the start
+function loadRecording(file) {
+  let lines;
+  try {
+    lines = readFileSync(file, 'utf8').split('\n').filter((line) => line.trim());
+  } catch (error) {
+    console.error(`Cannot read recording ${file}: ${error.message}`);
+    process.exit(1);
+  }
+  const [initial, ...frames] = lines.map((line, i) => {
+    try {
+      return JSON.parse(line);
+    } catch {
+      console.error(`Invalid JSON on line ${i + 1} of ${file}`);
+      process.exit(1);
+    }
+  });
+  if (initial?.type !== 'initial' || !Array.isArray(initial.data) || initial.data.length === 0) {
+    console.error(`${file} does not start with an initial snapshot`);
+    process.exit(1);
+  }
+  if (!frames.every((frame) => frame.type === 'update' && Number.isFinite(frame.t) && Array.isArray(frame.data))) {
+    console.error(`${file} has malformed update frames`);
+    process.exit(1);
+  }
+  return { initial, frames, duration: frames.length > 0 ? frames[frames.length - 1].t : 0 };
+}
+
+const recording = args.replay ? loadRecording(args.replay) : null;
+
+// Update encoding is negotiated through the WebSocket subprotocol: binary
+// frames when the client offers them, JSON otherwise
+const wss = new WebSocketServer({
+  port: PORT,
+  handleProtocols: (protocols) => {
+    if (protocols.has(BINARY_PROTOCOL)) return BINARY_PROTOCOL;
+    if (protocols.has(JSON_PROTOCOL)) return JSON_PROTOCOL;
+    return false;
+  },
+});
+
+// Generate instruments, or take them from the recording being replayed
 const instruments = [];
 const baseSymbols = ['AAPL', 'GOOGL', 'MSFT', 'AMZN', 'TSLA', 'META', 'NVDA', 'AMD', 'NFLX', 'INTC'];
-for (let i = 0; i < 150; i++) {
+for (let i = 0; i < INSTRUMENT_COUNT && !recording; i++) {
   if (i < baseSymbols.length) {
     instruments.push(baseSymbols[i]);
   } else {
@@ -13,97 +174,980 @@ for (let i = 0; i < 150; i++) {
   }
 }
 
-// Initialize mock data with 100+ fields
-const marketData = {};
-instruments.forEach(symbol => {
-  const data = {
-    symbol,
-    price: 100 + Math.random() * 400,
-    bid: 0,
-    ask: 0,
-    volume: Math.floor(Math.random() * 1000000),
-    change: 0,
-    changePercent: 0,
+// Time as the simulation sees it. Seeded runs advance it by the update
+// interval each frame rather than by the wall clock, so timer jitter can't
+// change the generated data.
+let simulationTime = Date.now();
+
+function advanceSimulationTime() {
+  simulationTime = SEED === undefined ? Date.now() : simulationTime + settings.frequency;
+  return simulationTime;
+}
+
+// The simulation owns the generated rows and moves them on each tick
+const simulation =
+  !recording &&
+  createSimulation({ profile: PROFILE, instruments, metricCount: METRIC_COUNT, random, now: simulationTime });
+let marketData = simulation ? simulation.rows : {};
+let lastSession = null; // Last session state and halts broadcast, as JSON
+
+if (recording) {
+  marketData = structuredClone(Object.fromEntries(recording.initial.data.map((row) => [row.symbol, row])));
+  instruments.push(...Object.keys(marketData));
+}
+
+// Field-index dictionary for binary clients, sent with their snapshot
+const dictionary = createDictionary({
+  symbols: instruments,
+  fields: Object.keys(marketData[instruments[0]]).filter((field) => field !== 'symbol'),
+});
+
+// Field metadata, so clients can build their columns from what we send
+const schema = { type: 'schema', fields: describeFields(Object.keys(marketData[instruments[0]])) };
+
+// With --users, clients must present a token from the users file and only get
+// the symbols and fields its user is entitled to. SIGHUP reloads the file.
+const USERS_FILE = args.users ?? process.env.USERS_FILE;
+let tokens = null;
+
+function loadUsers() {
+  try {
+    tokens = loadEntitlements(USERS_FILE);
+  } catch (error) {
+    console.error(`Invalid users file ${USERS_FILE}: ${error.message}`);
+    return false;
+  }
+  return true;
+}
+
+if (USERS_FILE) {
+  if (!loadUsers()) process.exit(1);
+  process.on('SIGHUP', () => {
+    if (loadUsers()) log(`Reloaded ${tokens.size} users from ${USERS_FILE}`);
+  });
+}
+
+// A restricted user's binary frames and schema only name what they may see
+function dictionaryFor(entitlement) {
+  if (!entitlement) return dictionary;
+  return createDictionary({
+    symbols: dictionary.symbols.filter((symbol) => isEntitled(entitlement, symbol)),
+    fields: dictionary.fields.filter((field) => !entitlement.fields || entitlement.fields.has(field)),
+  });
+}
+
+function schemaFor(entitlement) {
+  if (!entitlement?.fields) return schema;
+  return {
+    ...schema,
+    fields: schema.fields.filter(({ id }) => id === 'symbol' || entitlement.fields.has(id)),
   };
+}
+
+// Feed settings shared by every client; control messages adjust them at runtime
+const FREQUENCY_RANGE = { min: 5, max: 10000 }; // ms between bursts
+const BATCH_SIZE_RANGE = { min: 1, max: 500 }; // rows per burst
+const settings = {
+  frequency: 10,
+  batchSize: { min: 10, max: 30 },
+};
+
+// OHLC bars per interval and symbol: { bars, current }, where bars are the
+// completed bars (oldest first) and current is the bar still forming
+const BAR_HISTORY_LIMIT = 500;
+const bars = {};
 
-  // Add 100 additional metric fields
-  for (let i = 1; i <= 100; i++) {
-    data[`metric${i}`] = Math.random() * 1000;
+function resetBars() {
+  for (const interval of Object.keys(BAR_INTERVALS)) {
+    bars[interval] = {};
+    for (const symbol of instruments) {
+      bars[interval][symbol] = { bars: [], current: null };
+    }
   }
+}
+resetBars();
 
-  data.bid = data.price - Math.random() * 0.5;
-  data.ask = data.price + Math.random() * 0.5;
-  marketData[symbol] = data;
-});
+// Order books, kept only for symbols some client watches: symbol ->
+// { bids, asks, seq, clients }. Each side is a Map of price (in ticks) ->
+// size, rebuilt around the row's bid/ask so the top of book always matches it.
+const DEPTH_LEVELS = 10;
+const TICK_SIZE = 0.01;
+const books = new Map();
+
+// Replay position: the index of the next frame to send. Playback pauses by
+// itself while no client is connected.
+const playback = recording && {
+  index: 0,
+  speed: REPLAY_SPEED,
+  paused: false,
+};
+
+// Recording writes the snapshot now and each update frame as it is sent
+const recorder = args.record && createWriteStream(args.record);
+const recordStart = Date.now();
+if (recorder) {
+  recorder.write(
+    JSON.stringify({ type: 'initial', timestamp: recordStart, data: Object.values(marketData) }) + '\n'
+  );
+}
+
+// Map of ws -> { subscription, barSubscriptions, lastSeq, lastSentAt, binary,
+// user, entitlement, dictionary, expiryTimer, lastSession }. A null subscription streams
+// everything; otherwise { symbols: Set | null, fields: Set | null } narrows it,
+// and is never wider than the user's entitlement. barSubscriptions is a Set of
+// "symbol:interval" keys.
+const clients = new Map();
+let updateTimer = null;
+
+// Clients sent nothing for this long get a heartbeat, so a quiet subscription
+// doesn't look like a stalled connection
+const HEARTBEAT_INTERVAL = 1000;
+
+// Every update is stamped with a monotonic sequence number. The epoch changes on
+// each server start so clients can tell whether their last seq is still valid.
+const epoch = randomUUID();
+const HISTORY_LIMIT = 2000; // ~20s of updates at the default frequency
+const history = []; // Most recent update messages, oldest first
+let seq = 0;
+let lastTradeId = 0;
+
+function transmit(ws, payload) {
+  ws.send(payload);
+  const state = clients.get(ws);
+  if (state) state.lastSentAt = Date.now();
+}
+
+function send(ws, message) {
+  if (ws.readyState === ws.OPEN) {
+    transmit(ws, JSON.stringify(message));
+  }
+}
+
+function broadcast(message) {
+  const payload = JSON.stringify(message);
+  for (const client of clients.keys()) {
+    if (client.readyState === client.OPEN) {
+      transmit(client, payload);
+    }
+  }
+}
+
+function sendHeartbeats() {
+  const now = Date.now();
+  for (const [client, state] of clients) {
+    if (now - state.lastSentAt >= HEARTBEAT_INTERVAL) {
+      send(client, { type: 'heartbeat', seq: state.lastSeq, timestamp: now });
+    }
+  }
+}
+
+// Reduce rows to a client's subscription; the symbol key is always kept
+function filterRows(rows, subscription) {
+  if (!subscription) return rows;
+  const { symbols, fields } = subscription;
+  const filtered = [];
+  for (const row of rows) {
+    if (symbols && !symbols.has(row.symbol)) continue;
+    if (!fields) {
+      filtered.push(row);
+      continue;
+    }
+    const picked = { symbol: row.symbol };
+    let hasFields = false;
+    for (const field of fields) {
+      if (field in row) {
+        picked[field] = row[field];
+        hasFields = true;
+      }
+    }
+    if (hasFields) filtered.push(picked);
+  }
+  return filtered;
+}
+
+// Send an update to every client, filtered to what it subscribed to. Clients
+// whose filtered update is empty are skipped, so each message carries prevSeq
+// (the last seq that client was sent) for gap detection.
+function broadcastUpdate(message) {
+  // Unfiltered clients share one payload per encoding
+  const fullPayloads = {};
+  for (const [client, state] of clients) {
+    if (client.readyState !== client.OPEN) continue;
 
-wss.on('connection', (ws) => {
-  console.log('Client connected');
+    if (!state.subscription) {
+      const key = state.binary ? 'binary' : 'json';
+      fullPayloads[key] ??= encodeMessage(
+        { ...message, prevSeq: message.seq - 1 },
+        state
+      );
+      transmit(client, fullPayloads[key]);
+      state.lastSeq = message.seq;
+      continue;
+    }
+
+    const data = filterRows(message.data, state.subscription);
+    if (data.length === 0) continue;
+    transmit(
+      client,
+      encodeMessage({ ...message, data, prevSeq: state.lastSeq }, state)
+    );
+    state.lastSeq = message.seq;
+  }
+}
+
+// Binary clients get update frames as ArrayBuffers, falling back to JSON for
+// anything the binary format can't carry
+function encodeMessage(message, { binary, dictionary }) {
+  return (binary && encodeUpdate(message, dictionary)) || JSON.stringify(message);
+}
+
+function settingsMessage() {
+  return {
+    type: 'settings',
+    frequency: settings.frequency,
+    batchSize: { ...settings.batchSize },
+  };
+}
 
-  // Send initial data
-  ws.send(JSON.stringify({
+function sendError(ws, code, message, request) {
+  send(ws, { type: 'error', code, message, request });
+}
+
+function sendSnapshot(ws) {
+  const state = clients.get(ws);
+  state.lastSeq = seq;
+  send(ws, {
     type: 'initial',
-    data: Object.values(marketData)
-  }));
-
-  // Send random bursts of updates at high frequency with delta updates
-  const sendUpdates = () => {
-    const batchSize = Math.floor(Math.random() * 20) + 10; // 10-30 updates per batch
-    const updates = [];
-
-    for (let i = 0; i < batchSize; i++) {
-      const symbol = instruments[Math.floor(Math.random() * instruments.length)];
-      const data = marketData[symbol];
-
-      // Build delta update with only changed fields
-      const delta = { symbol };
-
-      // Random price change
-      const oldPrice = data.price;
-      const change = (Math.random() - 0.5) * 5;
-      data.price += change;
-      data.bid = data.price - Math.random() * 0.5;
-      data.ask = data.price + Math.random() * 0.5;
-      data.volume += Math.floor(Math.random() * 10000);
-      data.change = data.price - oldPrice;
-      data.changePercent = (data.change / oldPrice) * 100;
-
-      // Add changed price fields to delta
-      delta.price = data.price;
-      delta.bid = data.bid;
-      delta.ask = data.ask;
-      delta.volume = data.volume;
-      delta.change = data.change;
-      delta.changePercent = data.changePercent;
-
-      // Update random metrics (only send changed ones)
-      const metricsToUpdate = Math.floor(Math.random() * 20) + 10;
-      for (let j = 0; j < metricsToUpdate; j++) {
-        const metricNum = Math.floor(Math.random() * 100) + 1;
-        const metricKey = `metric${metricNum}`;
-        data[metricKey] = Math.random() * 1000;
-        delta[metricKey] = data[metricKey];
+    data: filterRows(Object.values(marketData), state.subscription),
+    seq,
+    epoch,
+    ...(state.binary && { dictionary: serializeDictionary(state.dictionary) }),
+  });
+}
+
+// Bring a client up to date from fromSeq: replay the missed updates from history
+// when it still covers them, otherwise fall back to a full snapshot
+function resync(ws, fromSeq, clientEpoch = epoch) {
+  const oldest = history.length > 0 ? history[0].seq : seq + 1;
+  const canReplay =
+    clientEpoch === epoch &&
+    Number.isInteger(fromSeq) &&
+    fromSeq <= seq &&
+    fromSeq + 1 >= oldest;
+
+  if (canReplay) {
+    const { subscription } = clients.get(ws);
+    const missed = [];
+    for (const message of history.slice(fromSeq + 1 - oldest)) {
+      const data = filterRows(message.data, subscription);
+      if (data.length > 0) missed.push({ ...message, data });
+    }
+    log(`Replaying ${missed.length} updates from seq ${fromSeq}`);
+    clients.get(ws).lastSeq = seq;
+    send(ws, { type: 'replay', updates: missed, seq, epoch });
+  } else {
+    log(`Sending snapshot at seq ${seq} (requested ${fromSeq})`);
+    sendSnapshot(ws);
+  }
+}
+
+// Fold a tick into every interval's current bar, completing it when the tick
+// falls in a later interval
+function aggregateBars(symbol, price, volume, timestamp) {
+  for (const [interval, length] of Object.entries(BAR_INTERVALS)) {
+    const series = bars[interval][symbol];
+    const time = timestamp - (timestamp % length);
+    const bar = series.current;
+    if (bar && bar.time === time) {
+      bar.high = Math.max(bar.high, price);
+      bar.low = Math.min(bar.low, price);
+      bar.close = price;
+      bar.volume += volume;
+      continue;
+    }
+    if (bar) {
+      series.bars.push(bar);
+      if (series.bars.length > BAR_HISTORY_LIMIT) {
+        series.bars.shift();
       }
+    }
+    series.current = { time, open: price, high: price, low: price, close: price, volume };
+  }
+}
+
+function barKey(symbol, interval) {
+  return `${symbol}:${interval}`;
+}
+
+function sendBars(ws, symbol, interval) {
+  const { bars: completed, current } = bars[interval][symbol];
+  send(ws, { type: 'bars', symbol, interval, bars: completed, current });
+}
+
+// Live updates to the current bar of every subscribed symbol that just ticked
+function broadcastBars(symbols) {
+  for (const [client, state] of clients) {
+    for (const key of state.barSubscriptions) {
+      const [symbol, interval] = key.split(':');
+      if (symbols.has(symbol)) {
+        send(client, { type: 'bar', symbol, interval, bar: bars[interval][symbol].current });
+      }
+    }
+  }
+}
+
+function randomSize() {
+  return (1 + Math.floor(depthRandom() * 50)) * 100;
+}
+
+// One side of the book from the best price outwards. Levels that survive keep
+// their size most of the time, so updates look like a live book.
+function buildSide(best, direction, previous) {
+  const levels = new Map();
+  for (let i = 0; i < DEPTH_LEVELS; i++) {
+    const ticks = best + direction * i;
+    if (ticks <= 0) break;
+    const size = previous?.get(ticks);
+    levels.set(ticks, size !== undefined && depthRandom() > 0.3 ? size : randomSize());
+  }
+  return levels;
+}
+
+function buildBook(row, previous) {
+  const bestBid = Math.floor(row.bid / TICK_SIZE);
+  const bestAsk = Math.max(bestBid + 1, Math.ceil(row.ask / TICK_SIZE));
+  return {
+    bids: buildSide(bestBid, -1, previous?.bids),
+    asks: buildSide(bestAsk, 1, previous?.asks),
+  };
+}
+
+const toPrice = (ticks) => Number((ticks * TICK_SIZE).toFixed(2));
+
+function levelList(side) {
+  return Array.from(side, ([ticks, size]) => [toPrice(ticks), size]);
+}
+
+// Level changes from one version of a side to the next
+function diffSide(side, before, after) {
+  const changes = [];
+  for (const [ticks, size] of after) {
+    const previous = before.get(ticks);
+    if (previous === undefined) {
+      changes.push({ side, action: 'add', price: toPrice(ticks), size });
+    } else if (previous !== size) {
+      changes.push({ side, action: 'modify', price: toPrice(ticks), size });
+    }
+  }
+  for (const ticks of before.keys()) {
+    if (!after.has(ticks)) {
+      changes.push({ side, action: 'delete', price: toPrice(ticks) });
+    }
+  }
+  return changes;
+}
+
+// Snapshot of a book (best levels first); its seq orders the updates after it
+function sendDepth(ws, symbol) {
+  const book = books.get(symbol);
+  send(ws, {
+    type: 'depth',
+    symbol,
+    seq: book.seq,
+    bids: levelList(book.bids),
+    asks: levelList(book.asks),
+  });
+}
+
+function watchDepth(ws, symbol) {
+  let book = books.get(symbol);
+  if (!book) {
+    book = { ...buildBook(marketData[symbol]), seq: 0, clients: new Set() };
+    books.set(symbol, book);
+  }
+  book.clients.add(ws);
+  sendDepth(ws, symbol);
+}
+
+function unwatchDepth(ws, symbol) {
+  const book = books.get(symbol);
+  if (!book) return;
+  book.clients.delete(ws);
+  if (book.clients.size === 0) {
+    books.delete(symbol);
+  }
+}
+
+// Move the books of symbols that just ticked and send watchers the changes
+function updateBooks(symbols) {
+  for (const symbol of symbols) {
+    const book = books.get(symbol);
+    if (!book) continue;
+    const next = buildBook(marketData[symbol], book);
+    const changes = [
+      ...diffSide('bid', book.bids, next.bids),
+      ...diffSide('ask', book.asks, next.asks),
+    ];
+    if (changes.length === 0) continue;
+    book.bids = next.bids;
+    book.asks = next.asks;
+    book.seq++;
+    for (const client of book.clients) {
+      send(client, { type: 'depthUpdate', symbol, seq: book.seq, changes });
+    }
+  }
+}
+
+function isStringListOrNull(value) {
+  return (
+    value === null ||
+    (Array.isArray(value) && value.every((item) => typeof item === 'string'))
+  );
+}
+
+function isIntegerInRange(value, range) {
+  return Number.isInteger(value) && value >= range.min && value <= range.max;
+}
+
+// Send random bursts of updates at high frequency with delta updates, or the
+// next frame of the recording being replayed
+function sendUpdates() {
+  if (recording) {
+    playNextFrame();
+    return;
+  }
+
+  const { min, max } = settings.batchSize;
+  const batchSize = min + Math.floor(random() * (max - min + 1));
+  const updates = [];
+  const tickTrades = []; // [symbol, price, volume traded, side], for bars and prints
+  const now = Date.now(); // Stamped on the messages, for latency
+  const time = advanceSimulationTime();
+  simulation.beginBatch(time);
+
+  for (let i = 0; i < batchSize; i++) {
+    const symbol = instruments[Math.floor(random() * instruments.length)];
+    // Nothing trades while the market is closed or the symbol is halted
+    const tick = simulation.tick(symbol, time);
+    if (!tick) continue;
+    updates.push(tick.delta);
+    tickTrades.push([symbol, marketData[symbol].price, tick.traded, tradeSide(symbol)]);
+  }
+
+  broadcastSession();
+  if (updates.length > 0) {
+    publishUpdate(updates, tickTrades, now);
+  }
+  scheduleUpdates(settings.frequency);
+}
+
+// Market open/closed state and halts, sent when they change with profiles
+// that have them. Each client hears only of halts in symbols it is entitled to.
+function sessionMessage(entitlement, session = simulation.session(simulationTime)) {
+  return {
+    type: 'session',
+    ...session,
+    halted: session.halted.filter((symbol) => isEntitled(entitlement, symbol)),
+  };
+}
+
+function sendSession(ws, session) {
+  const state = clients.get(ws);
+  const message = sessionMessage(state.entitlement, session);
+  const key = JSON.stringify([message.state, message.halted]);
+  if (key === state.lastSession) return;
+  state.lastSession = key;
+  send(ws, message);
+}
+
+function broadcastSession() {
+  if (!PROFILE.session) return;
+  const session = simulation.session(simulationTime);
+  const key = JSON.stringify([session.state, session.halted]);
+  if (key === lastSession) return;
+  lastSession = key;
+  for (const client of clients.keys()) {
+    if (client.readyState === client.OPEN) sendSession(client, session);
+  }
+}
+
+// An uptick is taken as a buy hitting the ask, a downtick as a sell
+function tradeSide(symbol) {
+  return marketData[symbol].change < 0 ? 'sell' : 'buy';
+}
 
-      updates.push(delta);
+// Trade prints go to clients entitled to the symbol's price and volume, and
+// only for the symbols they subscribed to
+function broadcastTrades(trades) {
+  if (trades.length === 0) return;
+  let fullPayload = null; // Shared by clients that see every symbol
+  for (const [client, state] of clients) {
+    if (client.readyState !== client.OPEN) continue;
+    if (!state.subscription?.symbols && !state.entitlement) {
+      fullPayload ??= JSON.stringify({ type: 'trades', trades });
+      transmit(client, fullPayload);
+      continue;
     }
+    const symbols = state.subscription?.symbols;
+    const visible = trades.filter(
+      ({ symbol }) => (!symbols || symbols.has(symbol)) && isEntitled(state.entitlement, symbol, ['price', 'volume'])
+    );
+    if (visible.length > 0) send(client, { type: 'trades', trades: visible });
+  }
+}
+
+function publishUpdate(updates, tickTrades, timestamp) {
+  const message = {
+    type: 'update',
+    data: updates,
+    timestamp,
+    seq: ++seq,
+  };
+  const trades = [];
+  for (const [symbol, price, traded, side] of tickTrades) {
+    aggregateBars(symbol, price, traded, message.timestamp);
+    if (traded > 0) {
+      trades.push({ id: ++lastTradeId, symbol, price, size: traded, side, timestamp });
+    }
+  }
+  history.push(message);
+  if (history.length > HISTORY_LIMIT) {
+    history.shift();
+  }
+  broadcastUpdate(message);
+  broadcastTrades(trades);
+  const ticked = new Set(tickTrades.map(([symbol]) => symbol));
+  broadcastBars(ticked);
+  updateBooks(ticked);
+
+  if (recorder) {
+    recorder.write(
+      JSON.stringify({ type: 'update', t: timestamp - recordStart, timestamp, data: updates }) + '\n'
+    );
+  }
+}
+
+// Fold a recorded frame into marketData, returning its trades
+function applyFrame(frame) {
+  const tickTrades = [];
+  for (const delta of frame.data) {
+    const data = marketData[delta.symbol];
+    if (!data) continue;
+    const traded = 'volume' in delta ? delta.volume - data.volume : 0;
+    Object.assign(data, delta);
+    tickTrades.push([delta.symbol, data.price, traded, tradeSide(delta.symbol)]);
+  }
+  return tickTrades;
+}
+
+function frameTimestamp(frame) {
+  return frame.timestamp ?? recording.initial.timestamp + frame.t;
+}
+
+function playNextFrame() {
+  const frame = recording.frames[playback.index++];
+  if (frame) {
+    publishUpdate(frame.data, applyFrame(frame), frameTimestamp(frame));
+  }
 
-    ws.send(JSON.stringify({
-      type: 'update',
-      data: updates,
-      timestamp: Date.now()
-    }));
+  const next = recording.frames[playback.index];
+  if (!next) {
+    log('Replay finished');
+    stopUpdates();
+    broadcast(playbackMessage());
+    return;
+  }
+  scheduleUpdates(playback.speed === 'max' ? 0 : (next.t - (frame?.t ?? 0)) / playback.speed);
+}
+
+function playbackPosition() {
+  return playback.index > 0 ? recording.frames[playback.index - 1].t : 0;
+}
 
-    // Schedule next burst with very short interval (5-20ms) to stress test batching
-    const nextInterval = Math.floor(Math.random() * 15) + 5;
-    setTimeout(sendUpdates, nextInterval);
+function playbackMessage() {
+  let state = 'playing';
+  if (playback.index >= recording.frames.length) {
+    state = 'ended';
+  } else if (playback.paused) {
+    state = 'paused';
+  }
+  return {
+    type: 'playback',
+    state,
+    position: playbackPosition(),
+    duration: recording.duration,
+    speed: playback.speed,
   };
+}
+
+function resumePlayback(delay) {
+  if (!playback.paused && clients.size > 0 && playback.index < recording.frames.length) {
+    scheduleUpdates(delay);
+  }
+}
+
+// Jump to a position: rebuild the data from the snapshot plus every frame up
+// to that point, then send every client a fresh snapshot. Updates before the
+// seek can't be replayed on top of it, so the history starts over.
+function seek(position) {
+  stopUpdates();
+  marketData = structuredClone(Object.fromEntries(recording.initial.data.map((row) => [row.symbol, row])));
+  resetBars();
+  playback.index = 0;
+  while (playback.index < recording.frames.length && recording.frames[playback.index].t <= position) {
+    const frame = recording.frames[playback.index++];
+    for (const [symbol, price, traded] of applyFrame(frame)) {
+      aggregateBars(symbol, price, traded, frameTimestamp(frame));
+    }
+  }
+
+  seq++;
+  history.length = 0;
+  for (const [client, state] of clients) {
+    sendSnapshot(client);
+    for (const key of state.barSubscriptions) {
+      const [symbol, interval] = key.split(':');
+      sendBars(client, symbol, interval);
+    }
+  }
+  log(`Seeked to ${playbackPosition()}ms`);
+  resumePlayback(0);
+}
+
+function scheduleUpdates(delay) {
+  clearTimeout(updateTimer);
+  updateTimer = setTimeout(sendUpdates, delay);
+}
+
+function stopUpdates() {
+  clearTimeout(updateTimer);
+  updateTimer = null;
+}
+
+function rejectInReplay(ws, message) {
+  send(ws, settingsMessage());
+  sendError(ws, 'REPLAYING', 'Feed settings are fixed while replaying a recording', message);
+}
+
+// Playback controls, only available with --replay
+function handlePlaybackMessage(ws, message) {
+  if (!recording) {
+    sendError(ws, 'NOT_REPLAYING', 'Playback controls need a server started with --replay', message);
+    return;
+  }
+
+  if (message.type === 'pause') {
+    playback.paused = true;
+    stopUpdates();
+  } else if (message.type === 'resume') {
+    playback.paused = false;
+    if (playback.index >= recording.frames.length) {
+      seek(0); // Play again from the start
+    } else {
+      resumePlayback(0);
+    }
+  } else if (message.type === 'seek') {
+    if (!Number.isFinite(message.position) || message.position < 0) {
+      sendError(ws, 'INVALID_POSITION', 'Seek position must be a non-negative number of ms', message);
+      return;
+    }
+    seek(message.position);
+  } else {
+    const speed = playbackSpeed(message.speed);
+    if (speed === null) {
+      sendError(ws, 'INVALID_SPEED', 'Speed must be a positive number or "max"', message);
+      return;
+    }
+    playback.speed = speed;
+    if (updateTimer) {
+      scheduleUpdates(0);
+    }
+  }
+  log(`Playback ${message.type}`);
+  broadcast(playbackMessage());
+}
+
+// Control messages from clients (forwarded by the shared worker)
+function handleControlMessage(ws, raw) {
+  let message;
+  try {
+    message = JSON.parse(raw);
+  } catch {
+    sendError(ws, 'INVALID_MESSAGE', 'Control message is not valid JSON');
+    return;
+  }
+
+  switch (message?.type) {
+    case 'setFrequency': {
+      if (recording) {
+        rejectInReplay(ws, message);
+        return;
+      }
+      const { frequency } = message;
+      if (!isIntegerInRange(frequency, FREQUENCY_RANGE)) {
+        // Resend current settings first so the rejected value is reverted
+        send(ws, settingsMessage());
+        sendError(
+          ws,
+          'INVALID_FREQUENCY',
+          `Frequency must be an integer between ${FREQUENCY_RANGE.min} and ${FREQUENCY_RANGE.max}ms`,
+          message
+        );
+        return;
+      }
+      settings.frequency = frequency;
+      // Apply immediately rather than waiting out the previous interval
+      if (updateTimer) {
+        scheduleUpdates(settings.frequency);
+      }
+      log(`Frequency set to ${frequency}ms`);
+      broadcast(settingsMessage());
+      break;
+    }
+
+    case 'setBatchSize': {
+      if (recording) {
+        rejectInReplay(ws, message);
+        return;
+      }
+      const { min, max } = message;
+      if (
+        !isIntegerInRange(min, BATCH_SIZE_RANGE) ||
+        !isIntegerInRange(max, BATCH_SIZE_RANGE) ||
+        min > max
+      ) {
+        // Resend current settings first so the rejected value is reverted
+        send(ws, settingsMessage());
+        sendError(
+          ws,
+          'INVALID_BATCH_SIZE',
+          `Batch size must be integers between ${BATCH_SIZE_RANGE.min} and ${BATCH_SIZE_RANGE.max} with min <= max`,
+          message
+        );
+        return;
+      }
+      settings.batchSize = { min, max };
+      log(`Batch size set to ${min}-${max}`);
+      broadcast(settingsMessage());
+      break;
+    }
+
+    case 'subscribe': {
+      // Replaces the client's subscription; null symbols or fields means all
+      const { symbols = null, fields = null } = message;
+      if (!isStringListOrNull(symbols) || !isStringListOrNull(fields)) {
+        sendError(
+          ws,
+          'INVALID_SUBSCRIPTION',
+          'Subscription symbols and fields must be string arrays or null',
+          message
+        );
+        return;
+      }
+      const state = clients.get(ws);
+      state.subscription = restrictSubscription(
+        symbols === null && fields === null
+          ? null
+          : {
+              symbols: symbols && new Set(symbols),
+              fields: fields && new Set(fields),
+            },
+        state.entitlement
+      );
+      log(
+        `Client subscribed to ${symbols ? symbols.length : 'all'} symbols, ` +
+          `${fields ? fields.length : 'all'} fields`
+      );
+      // Newly added symbols or fields need a baseline before their deltas
+      sendSnapshot(ws);
+      break;
+    }
+
+    case 'resync':
+      resync(ws, message.fromSeq, message.epoch);
+      break;
+
+    case 'subscribeBars':
+    case 'unsubscribeBars': {
+      // Completed bars come first, then live updates to the current bar
+      const { symbol, interval } = message;
+      if (!(symbol in marketData) || !(interval in BAR_INTERVALS)) {
+        sendError(
+          ws,
+          'INVALID_BARS_SUBSCRIPTION',
+          `Bars need a known symbol and one of these intervals: ${Object.keys(BAR_INTERVALS).join(', ')}`,
+          message
+        );
+        return;
+      }
+      const { barSubscriptions, entitlement } = clients.get(ws);
+      // Bars are built from the price and volume fields
+      if (message.type === 'subscribeBars' && !isEntitled(entitlement, symbol, ['price', 'volume'])) {
+        sendError(ws, 'NOT_ENTITLED', `Not entitled to bars for ${symbol}`, message);
+        return;
+      }
+      if (message.type === 'unsubscribeBars') {
+        barSubscriptions.delete(barKey(symbol, interval));
+      } else {
+        barSubscriptions.add(barKey(symbol, interval));
+        sendBars(ws, symbol, interval);
+      }
+      break;
+    }
+
+    case 'subscribeDepth':
+    case 'unsubscribeDepth': {
+      // A snapshot of the book comes first, then incremental level changes
+      const { symbol } = message;
+      if (!(symbol in marketData)) {
+        sendError(ws, 'INVALID_DEPTH_SUBSCRIPTION', `Unknown symbol: ${symbol}`, message);
+        return;
+      }
+      // The book is built around the bid and ask
+      if (message.type === 'subscribeDepth' && !isEntitled(clients.get(ws).entitlement, symbol, ['bid', 'ask'])) {
+        sendError(ws, 'NOT_ENTITLED', `Not entitled to depth for ${symbol}`, message);
+        return;
+      }
+      if (message.type === 'subscribeDepth') {
+        watchDepth(ws, symbol);
+      } else {
+        unwatchDepth(ws, symbol);
+      }
+      break;
+    }
+
+    case 'pause':
+    case 'resume':
+    case 'seek':
+    case 'setSpeed':
+      handlePlaybackMessage(ws, message);
+      break;
+
+    default:
+      sendError(ws, 'UNKNOWN_MESSAGE_TYPE', `Unknown message type: ${message?.type}`, message);
+  }
+}
+
+// Send a typed auth error, then close with its code so the client knows
+// retrying with the same token won't help
+function rejectClient(ws, code, message) {
+  sendError(ws, code, message);
+  ws.close(AUTH_CLOSE_CODES[code], code);
+}
+
+wss.on('connection', (ws, req) => {
+  const { searchParams } = new URL(req.url, 'ws://localhost');
+  let account = { user: null, expiresAt: null, entitlement: null };
+  if (tokens) {
+    account = authenticate(tokens, searchParams.get('token'));
+    if (account.error) {
+      log(`Client rejected: ${account.message}`);
+      rejectClient(ws, account.error, account.message);
+      return;
+    }
+  }
+
+  log(`Client connected (${ws.protocol || 'json'}${account.user ? `, ${account.user}` : ''})`);
+  const { entitlement } = account;
+  clients.set(ws, {
+    subscription: entitlement,
+    barSubscriptions: new Set(),
+    lastSeq: seq,
+    lastSentAt: Date.now(),
+    binary: ws.protocol === BINARY_PROTOCOL,
+    user: account.user,
+    entitlement,
+    dictionary: dictionaryFor(entitlement),
+    lastSession: null, // Last session message sent, as JSON
+    // Timers can't wait more than ~24 days; longer-lived tokens outlast us
+    expiryTimer:
+      account.expiresAt !== null && account.expiresAt - Date.now() < 2 ** 31
+        ? setTimeout(() => {
+            log(`Token for ${account.user} expired, closing`);
+            rejectClient(ws, 'TOKEN_EXPIRED', `Token for ${account.user} has expired`);
+          }, account.expiresAt - Date.now())
+        : null,
+  });
+
+  // A reconnecting client passes its epoch and last seq to resume from history;
+  // anyone else gets the full initial data
+  send(ws, { type: 'identity', user: account.user });
+  send(ws, schemaFor(entitlement));
+  if (searchParams.has('fromSeq')) {
+    resync(ws, Number(searchParams.get('fromSeq')), searchParams.get('epoch'));
+  } else {
+    sendSnapshot(ws);
+  }
+  send(ws, settingsMessage());
+  if (recording) {
+    send(ws, playbackMessage());
+  } else if (PROFILE.session) {
+    sendSession(ws);
+  }
 
   // Start sending updates after a short delay
-  setTimeout(sendUpdates, 100);
+  if (!updateTimer && !recording) {
+    scheduleUpdates(100);
+  } else if (!updateTimer) {
+    resumePlayback(100);
+  }
+
+  ws.on('message', (raw) => handleControlMessage(ws, raw));
 
   ws.on('close', () => {
-    console.log('Client disconnected');
+    log('Client disconnected');
+    clearTimeout(clients.get(ws).expiryTimer);
+    clients.delete(ws);
+    for (const symbol of books.keys()) {
+      unwatchDepth(ws, symbol);
+    }
+    if (clients.size === 0) {
+      stopUpdates();
+    }
   });
 });
 
-console.log('WebSocket server running on ws://localhost:8080');
+const heartbeatTimer = setInterval(sendHeartbeats, HEARTBEAT_INTERVAL);
+
+// Keep clients' playback position current while a replay is running
+const playbackTimer =
+  recording &&
+  setInterval(() => {
+    if (updateTimer) broadcast(playbackMessage());
+  }, 1000);
+
+// For tests that run the server in-process (see test/): stop every timer and
+// close the listening socket along with its clients
+export { wss };
+export function closeServer() {
+  clearInterval(heartbeatTimer);
+  clearInterval(playbackTimer);
+  stopUpdates();
+  for (const ws of wss.clients) {
+    ws.terminate();
+  }
+  return new Promise((resolve) => wss.close(resolve));
+}
+
+// Flush the recording before exiting
+if (recorder) {
+  const finish = () => recorder.end(() => process.exit(0));
+  process.on('SIGINT', finish);
+  process.on('SIGTERM', finish);
+}
+
+if (recording) {
+  log(
+    `WebSocket server running on ws://localhost:${PORT} ` +
+      `(replaying ${recording.frames.length} frames from ${args.replay}, speed ${REPLAY_SPEED}` +
+      `${tokens ? `, ${tokens.size} users` : ''})`
+  );
+} else {
+  log(
+    `WebSocket server running on ws://localhost:${PORT} ` +
+      `(${INSTRUMENT_COUNT} instruments, ${METRIC_COUNT} metrics, ${PROFILE_NAME} profile` +
+      `${SEED === undefined ? '' : `, seed ${SEED}`}` +
+      `${recorder ? `, recording to ${args.record}` : ''}` +
+      `${tokens ? `, ${tokens.size} users` : ''})`
+  );
+}
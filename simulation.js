@@ -0,0 +1,258 @@
+// Market simulation profiles for the mock server. A profile is a set of
+// features, chosen with --profile (a preset name or a comma-separated list):
+//   random    - the original uniform random walk
+//   gbm       - geometric Brownian motion with per-symbol volatility
+//   sectors   - gbm, with symbols moving with a shared sector factor
+//   bursts    - gbm, with occasional volatility bursts on a symbol or sector
+//   session   - gbm, with a compressed trading day (open/close) and halts
+//   realistic - all of the above
+// Every profile keeps price > 0 and bid < price < ask.
+export const PROFILES = {
+  random: { model: 'random' },
+  gbm: { model: 'gbm' },
+  sectors: { model: 'gbm', sectors: true },
+  bursts: { model: 'gbm', bursts: true },
+  session: { model: 'gbm', session: true },
+  realistic: { model: 'gbm', sectors: true, bursts: true, session: true },
+};
+
+const SECTORS = ['tech', 'semis', 'consumer', 'energy', 'finance', 'health'];
+const BASE_SECTORS = {
+  AAPL: 'tech',
+  GOOGL: 'tech',
+  MSFT: 'tech',
+  META: 'tech',
+  NVDA: 'semis',
+  AMD: 'semis',
+  INTC: 'semis',
+  AMZN: 'consumer',
+  TSLA: 'consumer',
+  NFLX: 'consumer',
+};
+
+// Volatilities are per square root of a second, so a minute moves ~1-3%
+const SYMBOL_VOL = { min: 0.001, max: 0.004 };
+const SECTOR_VOL = 0.002;
+const BURSTS_PER_SECOND = 1 / 20;
+const BURST_FACTOR = { min: 3, max: 6 };
+const BURST_DURATION = { min: 5000, max: 30000 };
+const HALTS_PER_SECOND = 1 / 30;
+const HALT_DURATION = { min: 10000, max: 60000 };
+const SESSION_OPEN = 4 * 60 * 1000; // A trading day compressed to 4 minutes
+const SESSION_CLOSED = 60 * 1000;
+
+// Display metadata for the row fields, sent to clients as the schema. type
+// says what the value is, renderer names a suggested cell renderer and
+// format how to show the value without one.
+const FIELD_SCHEMA = {
+  symbol: { name: 'Symbol', type: 'symbol', unit: null, decimals: null, renderer: null, format: 'text' },
+  price: { name: 'Price', type: 'price', unit: 'USD', decimals: 2, renderer: 'price', format: 'currency' },
+  bid: { name: 'Bid', type: 'price', unit: 'USD', decimals: 2, renderer: null, format: 'currency' },
+  ask: { name: 'Ask', type: 'price', unit: 'USD', decimals: 2, renderer: null, format: 'currency' },
+  change: { name: 'Change', type: 'change', unit: 'USD', decimals: 2, renderer: 'change', format: 'currency' },
+  changePercent: {
+    name: 'Change %',
+    type: 'percent',
+    unit: '%',
+    decimals: 2,
+    renderer: 'changePercent',
+    format: 'percent',
+  },
+  volume: { name: 'Volume', type: 'quantity', unit: 'shares', decimals: 0, renderer: null, format: 'integer' },
+};
+
+// Schema entries ({ id, name, type, unit, decimals, renderer, format }) for
+// the given fields, in order
+export function describeFields(fields) {
+  return fields.map((id) => {
+    if (Object.hasOwn(FIELD_SCHEMA, id)) return { id, ...FIELD_SCHEMA[id] };
+    const metric = /^metric(\d+)$/.exec(id);
+    if (metric) {
+      return { id, name: `Metric ${metric[1]}`, type: 'metric', unit: null, decimals: 2, renderer: 'metric', format: 'number' };
+    }
+    return { id, name: id, type: 'number', unit: null, decimals: null, renderer: null, format: 'number' };
+  });
+}
+
+// Returns the profile's features, or null for an unknown name
+export function parseProfile(value) {
+  const names = value.split(',').map((name) => name.trim());
+  if (!names.every((name) => Object.hasOwn(PROFILES, name))) return null;
+  if (names.length > 1 && names.includes('random')) return null;
+  return Object.assign({}, ...names.map((name) => PROFILES[name]));
+}
+
+export function createSimulation({ profile, instruments, metricCount, random, now = Date.now() }) {
+  const between = ({ min, max }) => min + random() * (max - min);
+
+  // Standard normal draw (Box-Muller)
+  const normal = () => Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+
+  const pickSymbol = () => instruments[Math.floor(random() * instruments.length)];
+
+  // Initialize mock data with the quote fields plus metricCount metrics
+  const rows = {};
+  const states = {};
+  instruments.forEach((symbol, i) => {
+    const data = {
+      symbol,
+      price: 100 + random() * 400,
+      bid: 0,
+      ask: 0,
+      volume: Math.floor(random() * 1000000),
+      change: 0,
+      changePercent: 0,
+    };
+
+    // Add additional metric fields
+    for (let m = 1; m <= metricCount; m++) {
+      data[`metric${m}`] = random() * 1000;
+    }
+
+    states[symbol] = {
+      sector: BASE_SECTORS[symbol] ?? SECTORS[i % SECTORS.length],
+      volatility: between(SYMBOL_VOL),
+      beta: 0.6 + random() * 0.6, // Sensitivity to the sector factor
+      spread: 0.0002 + random() * 0.0018, // 2-20 basis points
+      lastTick: now,
+      sectorLevel: 0, // Sector factor when the symbol last ticked
+      burst: null, // { factor, until }
+      haltedUntil: 0,
+      metricMeans: Array.from({ length: metricCount }, () => 100 + random() * 800),
+    };
+    quote(data, states[symbol], 1);
+    rows[symbol] = data;
+  });
+
+  // Sector factors are random walks in log space; a symbol picks up the
+  // factor's move since its last tick, however rarely it ticks
+  const sectorLevels = Object.fromEntries(SECTORS.map((sector) => [sector, 0]));
+  const sessionStart = now;
+  let lastBatch = now;
+
+  function quote(data, state, factor) {
+    const halfSpread = (data.price * state.spread * factor * (0.8 + random() * 0.4)) / 2;
+    data.bid = data.price - halfSpread;
+    data.ask = data.price + halfSpread;
+  }
+
+  function sessionState(time) {
+    if (!profile.session) return { open: true, nextChangeAt: null };
+    const elapsed = (time - sessionStart) % (SESSION_OPEN + SESSION_CLOSED);
+    const cycleStart = time - elapsed;
+    return elapsed < SESSION_OPEN
+      ? { open: true, nextChangeAt: cycleStart + SESSION_OPEN }
+      : { open: false, nextChangeAt: cycleStart + SESSION_OPEN + SESSION_CLOSED };
+  }
+
+  function startBurst(symbols, time) {
+    const burst = { factor: between(BURST_FACTOR), until: time + between(BURST_DURATION) };
+    symbols.forEach((symbol) => {
+      states[symbol].burst = burst;
+    });
+  }
+
+  // Advance market-wide state: sector factors, bursts and halts
+  function beginBatch(time = Date.now()) {
+    const seconds = Math.max(0, (time - lastBatch) / 1000);
+    lastBatch = time;
+
+    if (profile.sectors) {
+      for (const sector of SECTORS) {
+        sectorLevels[sector] += SECTOR_VOL * Math.sqrt(seconds) * normal();
+      }
+    }
+
+    if (profile.bursts && random() < BURSTS_PER_SECOND * seconds) {
+      const symbol = pickSymbol();
+      // With sectors, half the bursts hit the whole sector
+      const symbols =
+        profile.sectors && random() < 0.5
+          ? instruments.filter((other) => states[other].sector === states[symbol].sector)
+          : [symbol];
+      startBurst(symbols, time);
+    }
+
+    if (profile.session && random() < HALTS_PER_SECOND * seconds) {
+      states[pickSymbol()].haltedUntil = time + between(HALT_DURATION);
+    }
+  }
+
+  function tickRandom(data) {
+    const oldPrice = data.price;
+    // Reflect off zero so the walk never goes negative
+    data.price = Math.abs(data.price + (random() - 0.5) * 5) || oldPrice;
+    data.bid = data.price - (0.01 + random() * 0.5);
+    data.ask = data.price + (0.01 + random() * 0.5);
+    const traded = Math.floor(random() * 10000);
+
+    for (let m = 0; m < updatedMetricCount(); m++) {
+      data[`metric${Math.floor(random() * metricCount) + 1}`] = random() * 1000;
+    }
+    return traded;
+  }
+
+  function tickGbm(data, state, time) {
+    const seconds = Math.max(0.001, (time - state.lastTick) / 1000);
+    const factor = state.burst?.until > time ? state.burst.factor : 1;
+    const sigma = state.volatility * factor;
+
+    let logReturn = -0.5 * sigma * sigma * seconds + sigma * Math.sqrt(seconds) * normal();
+    if (profile.sectors) {
+      const level = sectorLevels[state.sector];
+      logReturn += state.beta * (level - state.sectorLevel);
+      state.sectorLevel = level;
+    }
+    data.price *= Math.exp(logReturn);
+    quote(data, state, factor);
+
+    // Metrics mean-revert around their own level instead of jumping about
+    for (let m = 0; m < updatedMetricCount(); m++) {
+      const index = Math.floor(random() * metricCount);
+      const key = `metric${index + 1}`;
+      const value = data[key] + 0.05 * (state.metricMeans[index] - data[key]) + 15 * normal();
+      data[key] = Math.min(1000, Math.max(0, value));
+    }
+
+    return Math.max(1, Math.round(500 * Math.exp(0.75 * normal()) * factor));
+  }
+
+  function updatedMetricCount() {
+    return Math.min(Math.floor(random() * 20) + 10, metricCount);
+  }
+
+  // Move one symbol. Returns the delta of changed fields and the volume
+  // traded, or null if the market is closed or the symbol is halted.
+  function tick(symbol, time = Date.now()) {
+    const data = rows[symbol];
+    const state = states[symbol];
+    if (!sessionState(time).open || state.haltedUntil > time) return null;
+
+    const before = { ...data };
+    const oldPrice = data.price;
+    const traded = profile.model === 'random' ? tickRandom(data) : tickGbm(data, state, time);
+    state.lastTick = time;
+    data.volume += traded;
+    data.change = data.price - oldPrice;
+    data.changePercent = (data.change / oldPrice) * 100;
+
+    // Build delta update with only changed fields
+    const delta = { symbol };
+    for (const key in data) {
+      if (data[key] !== before[key]) delta[key] = data[key];
+    }
+    return { delta, traded };
+  }
+
+  // Open/closed state and halted symbols, for clients to display
+  function session(time = Date.now()) {
+    const { open, nextChangeAt } = sessionState(time);
+    return {
+      state: open ? 'open' : 'closed',
+      nextChangeAt,
+      halted: instruments.filter((symbol) => states[symbol].haltedUntil > time),
+    };
+  }
+
+  return { rows, beginBatch, tick, session };
+}
@@ -9,10 +9,111 @@ import { PriceCellRenderer } from "./components/PriceCellRenderer";
 import { ChangeCellRenderer } from "./components/ChangeCellRenderer";
 import { ChangePercentCellRenderer } from "./components/ChangePercentCellRenderer";
 import { MetricCellRenderer } from "./components/MetricCellRenderer";
+import { SparklineCellRenderer } from "./components/SparklineCellRenderer";
+import { ConnectionStatus } from "./components/ConnectionStatus";
+import { AlertsPanel, AlertToasts } from "./components/AlertsPanel";
+import { ChartPanel } from "./components/ChartPanel";
+import { PlaybackControls } from "./components/PlaybackControls";
+import { DepthLadder } from "./components/DepthLadder";
+import { WorkspaceBar } from "./components/WorkspaceBar";
+import { ComputedColumnsPanel } from "./components/ComputedColumnsPanel";
+import { DiagnosticsPanel } from "./components/DiagnosticsPanel";
+import { TimeAndSales } from "./components/TimeAndSales";
+import { CachedDataBadge } from "./components/CachedDataBadge";
+import { createDictionary, decodeUpdate } from "./wire-format";
+import { connectMarketHub } from "./market-transport";
+import { appendPoint } from "./history";
+import { exportFileName, toCsv, toTsv, toXlsxFile } from "./grid-export";
+import {
+  createLatencyBuffer,
+  recordLatency,
+  summarizeLatency,
+} from "./latency";
 import "./style.css";
 
 ModuleRegistry.registerModules([AllCommunityModule]);
 
+// Feed connection, from the page URL (?endpoint=&token=) or Vite env
+const params = new URLSearchParams(window.location.search);
+const feedConfig = {
+  endpoint:
+    params.get("endpoint") ??
+    import.meta.env.VITE_MARKET_WS_URL ??
+    "ws://localhost:8080",
+  token: params.get("token") ?? import.meta.env.VITE_MARKET_WS_TOKEN,
+};
+
+// Bar intervals offered by the chart panel (see the server's --bars option)
+const BAR_INTERVALS = ["1s", "5s", "1m"];
+const BAR_LIMIT = 500;
+const TRADE_LIMIT = 1000; // Prints kept for the blotter, as in the worker
+// The server's limits, checked here so typos never leave the tab
+const FREQUENCY_RANGE = { min: 5, max: 10000 }; // ms between bursts
+const BATCH_SIZE_RANGE = { min: 1, max: 500 }; // rows per burst
+
+// An integer within range, or null
+function parseSetting(text, { min, max }) {
+  const number = Number(text);
+  if (text.trim() === "" || !Number.isInteger(number)) return null;
+  return number >= min && number <= max ? number : null;
+}
+
+// Cell renderers the server's schema can suggest for a field
+const CELL_RENDERERS = {
+  price: PriceCellRenderer,
+  change: ChangeCellRenderer,
+  changePercent: ChangePercentCellRenderer,
+  metric: MetricCellRenderer,
+};
+
+// Show a value by its schema format, for fields without a cell renderer
+function formatValue(value, { format, decimals }) {
+  if (typeof value !== "number") return value ?? "";
+  const fixed = decimals === null ? String(value) : value.toFixed(decimals);
+  switch (format) {
+    case "currency":
+      return "$" + fixed;
+    case "percent":
+      return fixed + "%";
+    case "integer":
+      return value.toLocaleString();
+    default:
+      return fixed;
+  }
+}
+
+function columnFromSchema(field) {
+  const column = {
+    field: field.id,
+    headerName: field.name,
+    headerTooltip: field.unit ? `${field.name} (${field.unit})` : field.name,
+    width: field.type === "symbol" ? 100 : field.type === "quantity" ? 140 : 120,
+  };
+  if (field.type === "symbol") column.pinned = "left";
+  const renderer = CELL_RENDERERS[field.renderer];
+  if (renderer) {
+    column.cellRenderer = renderer;
+  } else if (field.format !== "text") {
+    column.valueFormatter = (params) => formatValue(params.value, field);
+  }
+  return column;
+}
+
+function download(content, type, fileName) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url));
+}
+
+const USER_SELECTION_SOURCES = new Set([
+  "rowClicked",
+  "spaceKey",
+  "keyboardSelectAll",
+]);
+
 // Performance tracking
 const perfStats = {
   updateCount: 0,
@@ -20,14 +121,45 @@ const perfStats = {
   minUpdateTime: Infinity,
   maxUpdateTime: 0,
   lastSecondUpdates: 0,
+  recentUpdateTime: 0, // Moving average, reported to the worker
 };
 
 export default function App() {
   const [rowData, setRowData] = useState([]);
-  const [connectionStatus, setConnectionStatus] = useState("Connecting...");
-  const [updateFrequency, setUpdateFrequency] = useState(100);
+  const [connectionStatus, setConnectionStatus] = useState({
+    state: "connecting",
+  });
+  const [updateFrequency, setUpdateFrequency] = useState(10);
   const [batchSizeMin, setBatchSizeMin] = useState(10);
   const [batchSizeMax, setBatchSizeMax] = useState(30);
+  const [serverError, setServerError] = useState(null);
+  // Text of settings fields being edited, sent on blur or Enter
+  const [settingDrafts, setSettingDrafts] = useState({});
+  const [showAlerts, setShowAlerts] = useState(false);
+  const [alertRules, setAlertRules] = useState([]);
+  const [alertLog, setAlertLog] = useState([]);
+  const [alertToasts, setAlertToasts] = useState([]);
+  const [chartSymbol, setChartSymbol] = useState(null);
+  const [barInterval, setBarInterval] = useState("5s");
+  const [bars, setBars] = useState([]); // Completed bars, then the current one
+  const [playback, setPlayback] = useState(null); // Only when replaying
+  const [marketSession, setMarketSession] = useState(null); // Session profiles
+  const [depthSymbol, setDepthSymbol] = useState(null);
+  const [depth, setDepth] = useState(null); // Ladder view of depthBookRef
+  const [workspaces, setWorkspaces] = useState([]);
+  const [workspaceName, setWorkspaceName] = useState(null);
+  const [linkGroup, setLinkGroup] = useState(null);
+  const [showColumns, setShowColumns] = useState(false);
+  const [computedColumns, setComputedColumns] = useState([]); // From the worker
+  const [schema, setSchema] = useState(null); // The server's field metadata
+  const [showDiagnostics, setShowDiagnostics] = useState(false);
+  const [diagnostics, setDiagnostics] = useState(null); // From the worker
+  const [latency, setLatency] = useState(null);
+  const [showTrades, setShowTrades] = useState(false);
+  const [cachedAt, setCachedAt] = useState(null); // Set while rows are stale
+  const [exportNotice, setExportNotice] = useState(null);
+  const [trades, setTrades] = useState([]); // Oldest first
+  const [tradesForSelected, setTradesForSelected] = useState(false);
   const [perfMetrics, setPerfMetrics] = useState({
     avg: "0",
     min: "0",
@@ -37,64 +169,57 @@ export default function App() {
   });
 
   const gridRef = useRef(null);
-  const workerRef = useRef(null);
+  const portRef = useRef(null); // Shared worker port, or its fallback
   const pendingUpdatesRef = useRef(new Map());
   const frameScheduledRef = useRef(false);
+  const lastSeqRef = useRef(0);
+  const resyncingRef = useRef(false);
+  const dictionaryRef = useRef(null);
+  const historyRef = useRef(new Map()); // Map of symbol -> price points
+  const latencyRef = useRef(createLatencyBuffer());
+  const pendingTimestampsRef = useRef([]); // Server times of queued batches
+  const chartRef = useRef(null); // { symbol, interval } of the open chart
+  const depthSymbolRef = useRef(null);
+  const depthBookRef = useRef(null); // { bids, asks, seq, versions }, sides as Maps
+  const exportRequestsRef = useRef([]); // Formats awaiting the worker's snapshot
+  // Session state sent again if the worker drops this tab and it rejoins
+  const tokenRef = useRef(feedConfig.token);
+  const linkGroupRef = useRef(null);
+  const showTradesRef = useRef(false);
 
-  // Column definitions with React cell renderers
+  // Column definitions, built from the schema once it arrives
   const columnDefs = useMemo(() => {
-    const cols = [
-      { field: "symbol", headerName: "Symbol", width: 100, pinned: "left" },
-      {
-        field: "price",
-        headerName: "Price",
-        width: 120,
-        cellRenderer: PriceCellRenderer,
-      },
-      {
-        field: "bid",
-        headerName: "Bid",
-        width: 120,
-        valueFormatter: (params) => "$" + params.value?.toFixed(2),
-      },
-      {
-        field: "ask",
-        headerName: "Ask",
-        width: 120,
-        valueFormatter: (params) => "$" + params.value?.toFixed(2),
-      },
-      {
-        field: "change",
-        headerName: "Change",
-        width: 120,
-        cellRenderer: ChangeCellRenderer,
-      },
-      {
-        field: "changePercent",
-        headerName: "Change %",
-        width: 120,
-        cellRenderer: ChangePercentCellRenderer,
-      },
-      {
-        field: "volume",
-        headerName: "Volume",
-        width: 140,
-        valueFormatter: (params) => params.value?.toLocaleString(),
-      },
-    ];
+    // Columns come from the server's schema, with the sparkline after price
+    const cols = [];
+    for (const field of schema ?? []) {
+      cols.push(columnFromSchema(field));
+      if (field.id === "price") {
+        cols.push({
+          colId: "priceHistory",
+          headerName: "Trend",
+          width: 120,
+          valueGetter: (params) => historyRef.current.get(params.data.symbol),
+          cellRenderer: SparklineCellRenderer,
+          sortable: false,
+          filter: false,
+        });
+      }
+    }
 
-    // Add 100 metric columns with custom renderer
-    for (let i = 1; i <= 100; i++) {
+    // Computed columns, evaluated in the worker like any other field
+    for (const column of computedColumns) {
       cols.push({
-        field: `metric${i}`,
-        headerName: `Metric ${i}`,
+        field: column.name,
+        headerName: column.name,
+        headerTooltip: column.expression,
         width: 120,
-        cellRenderer: MetricCellRenderer,
+        valueFormatter: (params) =>
+          Number.isFinite(params.value) ? params.value.toFixed(4) : "",
       });
     }
 
     return cols;
-  }, []);
+  }, [schema, computedColumns]);
 
   const gridOptions = useMemo(
     () => ({
@@ -114,6 +239,24 @@ export default function App() {
       suppressCellFocus: true,
       suppressFieldDotNotation: true,
       getRowId: (params) => params.data.symbol,
+      // Clicking a row selects it and opens its chart; ctrl/shift-click
+      // selects several
+      rowSelection: {
+        mode: "multiRow",
+        checkboxes: false,
+        headerCheckbox: false,
+        enableClickSelection: true,
+      },
+      onSelectionChanged: (event) => {
+        // Only the user's own selections are shared, not ones applied from a
+        // workspace or a linked tab
+        if (!USER_SELECTION_SOURCES.has(event.source)) return;
+        const symbols = event.api.getSelectedRows().map((row) => row.symbol);
+        portRef.current?.postMessage({ type: "select", symbols });
+        if (symbols.length > 0) setChartSymbol(symbols[symbols.length - 1]);
+      },
+      // Double-clicking a row opens its order book
+      onRowDoubleClicked: (event) => setDepthSymbol(event.data.symbol),
     }),
     [],
   );
@@ -144,6 +287,13 @@ export default function App() {
         api.applyTransaction({ update: updates });
         pendingUpdatesRef.current.clear();
 
+        // End-to-end latency of each batch applied in this frame
+        const renderedAt = Date.now();
+        for (const timestamp of pendingTimestampsRef.current) {
+          recordLatency(latencyRef.current, renderedAt - timestamp);
+        }
+        pendingTimestampsRef.current = [];
+
         // Track performance
         const updateTime = performance.now() - startTime;
         perfStats.updateCount++;
@@ -151,6 +301,8 @@ export default function App() {
         perfStats.minUpdateTime = Math.min(perfStats.minUpdateTime, updateTime);
         perfStats.maxUpdateTime = Math.max(perfStats.maxUpdateTime, updateTime);
         perfStats.lastSecondUpdates++;
+        perfStats.recentUpdateTime =
+          perfStats.recentUpdateTime * 0.8 + updateTime * 0.2;
       }
 
       frameScheduledRef.current = false;
@@ -161,8 +313,15 @@ export default function App() {
     });
   };
 
-  const queueUpdate = (updates) => {
+  const queueUpdate = (updates, timestamp) => {
     updates.forEach((row) => {
+      if (row.price !== undefined) {
+        historyRef.current.set(
+          row.symbol,
+          appendPoint(historyRef.current.get(row.symbol), timestamp, row.price),
+        );
+      }
+
       // Merge delta with existing row data to preserve unchanged fields
       const existing = pendingUpdatesRef.current.get(row.symbol);
       if (existing) {
@@ -171,9 +330,193 @@ export default function App() {
         pendingUpdatesRef.current.set(row.symbol, row);
       }
     });
+    if (Number.isFinite(timestamp)) pendingTimestampsRef.current.push(timestamp);
     scheduleFrame();
   };
 
+  // Render the ladder from the book, best levels first
+  const showDepth = () => {
+    const { bids, asks, versions } = depthBookRef.current;
+    setDepth({
+      bids: Array.from(bids).sort((a, b) => b[0] - a[0]),
+      asks: Array.from(asks).sort((a, b) => a[0] - b[0]),
+      versions: new Map(versions),
+    });
+  };
+
+  const selectSymbols = (symbols) => {
+    const api = gridRef.current?.api;
+    if (!api) return;
+    const nodes = symbols.map((symbol) => api.getRowNode(symbol)).filter(Boolean);
+    api.deselectAll();
+    api.setNodesSelected({ nodes, newValue: true });
+    if (nodes.length > 0) api.ensureNodeVisible(nodes[0], "middle");
+  };
+
+  // Switch this tab to another token. The worker pools a separate connection
+  // per token, so nothing seen with the old one carries over.
+  const signIn = (token) => {
+    setRowData([]);
+    setCachedAt(null);
+    setChartSymbol(null);
+    setDepthSymbol(null);
+    historyRef.current = new Map();
+    tokenRef.current = token;
+    const port = portRef.current;
+    port?.postMessage({ type: "init", encoding: "binary", ...feedConfig, token });
+    port?.postMessage({ type: "listAlerts" });
+    port?.postMessage({ type: "listColumns" });
+    if (showTrades) port?.postMessage({ type: "subscribeTrades" });
+  };
+
+  // Exports come from the worker's row store rather than the grid, which may
+  // be a frame behind and keeps moving while we read it
+  const requestExport = (format) => {
+    exportRequestsRef.current.push(format);
+    portRef.current?.postMessage({ type: "getSnapshot" });
+  };
+
+  const finishExport = (format, snapshot) => {
+    const api = gridRef.current?.api;
+    if (!api) return;
+    const stamp = `seq ${snapshot.seq} at ${new Date(snapshot.timestamp).toLocaleTimeString()}`;
+
+    if (format === "csv") {
+      const { text, rowCount } = toCsv(api, snapshot.data);
+      // The byte order mark makes Excel read the file as UTF-8
+      download("\uFEFF" + text, "text/csv", exportFileName(snapshot, "csv"));
+      setExportNotice(`Exported ${rowCount} rows (${stamp})`);
+      return;
+    }
+
+    if (format === "xlsx") {
+      const { data, rowCount } = toXlsxFile(api, snapshot.data, snapshot);
+      download(
+        data,
+        "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+        exportFileName(snapshot, "xlsx"),
+      );
+      setExportNotice(`Exported ${rowCount} rows (${stamp})`);
+      return;
+    }
+
+    const selected = new Set(api.getSelectedRows().map((row) => row.symbol));
+    const { text, rowCount } = toTsv(
+      api,
+      snapshot.data.filter((row) => selected.has(row.symbol)),
+    );
+    if (rowCount === 0) {
+      setExportNotice("Select rows to copy");
+      return;
+    }
+    navigator.clipboard.writeText(text).then(
+      () => setExportNotice(`Copied ${rowCount} rows (${stamp})`),
+      (error) => setExportNotice(`Copy failed: ${error.message}`),
+    );
+  };
+
+  const editSetting = (field) => (e) =>
+    setSettingDrafts((drafts) => ({ ...drafts, [field]: e.target.value }));
+
+  const dropDrafts = (...fields) =>
+    setSettingDrafts((drafts) => {
+      const next = { ...drafts };
+      for (const field of fields) delete next[field];
+      return next;
+    });
+
+  // Enter commits like leaving the field
+  const commitOnEnter = (e) => {
+    if (e.key === "Enter") e.currentTarget.blur();
+  };
+
+  // The server echoes settings that took effect, which updates the fields
+  const commitFrequency = () => {
+    const text = settingDrafts.frequency;
+    if (text === undefined) return;
+    dropDrafts("frequency");
+    const frequency = parseSetting(text, FREQUENCY_RANGE);
+    if (frequency === null) {
+      setServerError({
+        code: "INVALID_FREQUENCY",
+        message: `Frequency must be an integer between ${FREQUENCY_RANGE.min} and ${FREQUENCY_RANGE.max}ms`,
+      });
+    } else if (frequency !== updateFrequency) {
+      portRef.current?.postMessage({ type: "setFrequency", frequency });
+    }
+  };
+
+  // Sent once focus leaves the pair, so min and max can change together
+  const commitBatchSize = (e) => {
+    if (["batchMin", "batchMax"].includes(e.relatedTarget?.id)) return;
+    const { batchMin, batchMax } = settingDrafts;
+    if (batchMin === undefined && batchMax === undefined) return;
+    dropDrafts("batchMin", "batchMax");
+    const min = parseSetting(batchMin ?? String(batchSizeMin), BATCH_SIZE_RANGE);
+    const max = parseSetting(batchMax ?? String(batchSizeMax), BATCH_SIZE_RANGE);
+    if (min === null || max === null || min > max) {
+      setServerError({
+        code: "INVALID_BATCH_SIZE",
+        message: `Batch size must be integers between ${BATCH_SIZE_RANGE.min} and ${BATCH_SIZE_RANGE.max} with min <= max`,
+      });
+    } else if (min !== batchSizeMin || max !== batchSizeMax) {
+      portRef.current?.postMessage({ type: "setBatchSize", min, max });
+    }
+  };
+
+  const changeLinkGroup = (group) => {
+    setLinkGroup(group);
+    linkGroupRef.current = group;
+    portRef.current?.postMessage({ type: "setLinkGroup", group });
+  };
+
+  // Column order, widths, pinning and sort all live in the column state
+  const saveWorkspace = (name) => {
+    const api = gridRef.current?.api;
+    if (!api) return;
+    setWorkspaceName(name);
+    portRef.current?.postMessage({
+      type: "saveWorkspace",
+      workspace: {
+        name,
+        columnState: api.getColumnState(),
+        filterModel: api.getFilterModel(),
+        selection: api.getSelectedRows().map((row) => row.symbol),
+        linkGroup,
+      },
+    });
+  };
+
+  const loadWorkspace = (name) => {
+    const workspace = workspaces.find((saved) => saved.name === name);
+    const api = gridRef.current?.api;
+    if (!workspace || !api) return;
+    api.applyColumnState({ state: workspace.columnState, applyOrder: true });
+    api.setFilterModel(workspace.filterModel);
+    selectSymbols(workspace.selection);
+    changeLinkGroup(workspace.linkGroup);
+    setWorkspaceName(name);
+  };
+
+  // Every tab logs a fired alert; the worker flags one tab to notify
+  const showAlert = (alert, notify) => {
+    setAlertLog((log) => [alert, ...log].slice(0, 50));
+    setAlertToasts((toasts) => [...toasts, alert].slice(-5));
+    setTimeout(() => dismissToast(alert.id), 5000);
+
+    if (
+      notify &&
+      typeof Notification !== "undefined" &&
+      Notification.permission === "granted"
+    ) {
+      new Notification("Market alert", { body: alert.message, tag: alert.id });
+    }
+  };
+
+  const dismissToast = (id) => {
+    setAlertToasts((toasts) => toasts.filter((alert) => alert.id !== id));
+  };
+
   // Performance stats update
   useEffect(() => {
     const interval = setInterval(() => {
@@ -195,108 +538,348 @@ export default function App() {
     return () => clearInterval(interval);
   }, []);
 
-  // Shared worker setup
+  // Trade prints only flow while the blotter is open
   useEffect(() => {
-    let worker = new SharedWorker(
-      new URL("./market-worker.js", import.meta.url),
-      {
-        name: "market-worker",
-        type: "module",
-      },
-    );
+    showTradesRef.current = showTrades;
+    if (!showTrades) return;
+    portRef.current?.postMessage({ type: "subscribeTrades" });
+    return () => {
+      showTradesRef.current = false;
+      portRef.current?.postMessage({ type: "unsubscribeTrades" });
+      setTrades([]);
+    };
+  }, [showTrades]);
 
-    let isActive = true;
+  // Errors stay on screen for a while, or until dismissed
+  useEffect(() => {
+    if (!serverError) return;
+    const timer = setTimeout(() => setServerError(null), 8000);
+    return () => clearTimeout(timer);
+  }, [serverError]);
 
-    const setupWorker = (w) => {
-      w.port.onmessage = (event) => {
-        const message = event.data;
+  // Export results stay on screen for a few seconds
+  useEffect(() => {
+    if (!exportNotice) return;
+    const timer = setTimeout(() => setExportNotice(null), 4000);
+    return () => clearTimeout(timer);
+  }, [exportNotice]);
 
-        switch (message.type) {
-          case "connected":
-            setConnectionStatus("Connected");
-            break;
+  // Poll the worker's diagnostics while the panel is open
+  useEffect(() => {
+    if (!showDiagnostics) return;
+    const refresh = () => {
+      portRef.current?.postMessage({ type: "getDiagnostics" });
+      setLatency(summarizeLatency(latencyRef.current));
+    };
+    refresh();
+    const interval = setInterval(refresh, 1000);
+    return () => clearInterval(interval);
+  }, [showDiagnostics]);
+
+  // Shared worker setup (or the leader-tab fallback)
+  useEffect(() => {
+
+    const isChartMessage = ({ symbol, interval }) =>
+      chartRef.current?.symbol === symbol &&
+      chartRef.current?.interval === interval;
+
+    const setupPort = (port) => {
+      port.onmessage = (event) => {
+        // Batches arrive as transferred ArrayBuffers (see init encoding)
+        const message =
+          event.data instanceof ArrayBuffer
+            ? decodeUpdate(event.data, dictionaryRef.current)
+            : event.data;
 
-          case "disconnected":
-            setConnectionStatus("Disconnected");
+        switch (message.type) {
+          case "status":
+            setConnectionStatus(message);
             break;
 
           case "initial":
+            // Snapshot already includes every delta up to message.seq
+            lastSeqRef.current = message.seq;
+            resyncingRef.current = false;
+            dictionaryRef.current =
+              message.dictionary && createDictionary(message.dictionary);
+            pendingUpdatesRef.current.clear();
+            pendingTimestampsRef.current = [];
+            // Until the feed delivers, the worker may serve its saved rows
+            setCachedAt(message.cachedAt ?? null);
             setRowData(message.data);
+            // Backfill the trend column from the hub's history
+            port.postMessage({ type: "getHistory", field: "price" });
+            break;
+
+          case "snapshot": {
+            const format = exportRequestsRef.current.shift();
+            if (format) finishExport(format, message);
+            break;
+          }
+
+          case "history":
+            historyRef.current = new Map(Object.entries(message.series));
+            gridRef.current?.api.refreshCells({ columns: ["priceHistory"] });
             break;
 
           case "update":
-            queueUpdate(message.data);
+            if (message.seq <= lastSeqRef.current) break; // Duplicate
+            if (message.prevSeq !== lastSeqRef.current) {
+              // Missed a batch; drop updates until the worker replays them
+              if (!resyncingRef.current) {
+                resyncingRef.current = true;
+                port.postMessage({
+                  type: "resync",
+                  fromSeq: lastSeqRef.current,
+                });
+              }
+              break;
+            }
+            lastSeqRef.current = message.seq;
+            queueUpdate(message.data, message.timestamp);
+            break;
+
+          case "replay":
+            for (const update of message.updates) {
+              if (update.seq > lastSeqRef.current) {
+                queueUpdate(update.data, update.timestamp);
+              }
+            }
+            lastSeqRef.current = message.seq;
+            resyncingRef.current = false;
+            break;
+
+          case "bars":
+            if (!isChartMessage(message)) break;
+            setBars(
+              message.current
+                ? [...message.bars, message.current]
+                : message.bars,
+            );
             break;
 
+          case "bar":
+            if (!isChartMessage(message)) break;
+            // A bar with a new time starts the next bar
+            setBars((current) => {
+              const last = current[current.length - 1];
+              if (last?.time === message.bar.time) {
+                return [...current.slice(0, -1), message.bar];
+              }
+              return [...current, message.bar].slice(-BAR_LIMIT);
+            });
+            break;
+
+          case "depth":
+            if (message.symbol !== depthSymbolRef.current) break;
+            depthBookRef.current = {
+              bids: new Map(message.bids),
+              asks: new Map(message.asks),
+              seq: message.seq,
+              versions: new Map(),
+            };
+            showDepth();
+            break;
+
+          case "depthUpdate": {
+            const book = depthBookRef.current;
+            if (message.symbol !== depthSymbolRef.current || !book) break;
+            if (message.seq !== book.seq + 1) {
+              // Missed a change; the worker answers with a fresh snapshot
+              depthBookRef.current = null;
+              port.postMessage({ type: "subscribeDepth", symbol: message.symbol });
+              break;
+            }
+            for (const { side, action, price, size } of message.changes) {
+              const levels = side === "bid" ? book.bids : book.asks;
+              const key = `${side}:${price}`;
+              if (action === "delete") {
+                levels.delete(price);
+                book.versions.delete(key);
+              } else {
+                levels.set(price, size);
+                book.versions.set(key, (book.versions.get(key) ?? 0) + 1);
+              }
+            }
+            book.seq = message.seq;
+            showDepth();
+            break;
+          }
+
           case "ping":
             // Respond to ping from worker
-            w.port.postMessage({ type: "pong" });
+            port.postMessage({ type: "pong" });
             break;
 
-          case "frequencyChanged":
+          case "settings":
+            // Settings that actually took effect on the server
             setUpdateFrequency(message.frequency);
+            setBatchSizeMin(message.batchSize.min);
+            setBatchSizeMax(message.batchSize.max);
+            setServerError(null);
             break;
 
-          case "batchSizeChanged":
-            setBatchSizeMin(message.min);
-            setBatchSizeMax(message.max);
+          case "schema":
+            setSchema(message.fields);
             break;
-        }
-      };
 
-      w.port.start();
-    };
+          case "diagnostics":
+            setDiagnostics(message);
+            break;
 
-    setupWorker(worker);
-    workerRef.current = worker;
+          case "trades":
+            // The first message after subscribing is the worker's buffer
+            setTrades((current) =>
+              message.snapshot
+                ? message.trades
+                : [...current, ...message.trades].slice(-TRADE_LIMIT),
+            );
+            break;
 
-    // Handle visibility changes to reconnect if needed
-    const handleVisibilityChange = () => {
-      if (!document.hidden && isActive) {
-        console.log("[Client] Tab visible, reconnecting to shared worker");
+          case "playback":
+            setPlayback(message);
+            break;
 
-        // Close old connection
-        if (workerRef.current) {
-          workerRef.current.port.postMessage({ type: "disconnect" });
-          workerRef.current.port.close();
-        }
+          case "session":
+            setMarketSession(message);
+            break;
 
-        // Create new connection
-        worker = new SharedWorker(
-          new URL("./market-worker.js", import.meta.url),
-          {
-            name: "market-worker",
-            type: "module",
-          },
-        );
+          case "error":
+            if (message.code === "UNKNOWN_PORT") {
+              // The worker dropped this port (say, after the tab sat frozen
+              // past the heartbeat timeout); join again with a fresh one
+              if (port !== portRef.current) break;
+              console.warn("[Client] Dropped by the worker, rejoining");
+              port.onmessage = null;
+              port.postMessage({ type: "disconnect" });
+              port.close();
+              portRef.current = connectMarketHub();
+              setupPort(portRef.current);
+              break;
+            }
+            if (message.request?.type === "getSnapshot") {
+              exportRequestsRef.current.shift();
+            }
+            console.warn(`[Client] ${message.code}: ${message.message}`);
+            setServerError(message);
+            break;
+
+          case "alerts":
+            setAlertRules(message.alerts);
+            break;
+
+          case "workspaces":
+            setWorkspaces(message.workspaces);
+            break;
+
+          case "columns":
+            setComputedColumns(message.columns);
+            break;
 
-        setupWorker(worker);
-        workerRef.current = worker;
+          case "linkedSelection":
+            // Another tab in our link group selected something; charts follow
+            selectSymbols(message.symbols);
+            if (chartRef.current && message.symbols.length > 0) {
+              setChartSymbol(message.symbols[message.symbols.length - 1]);
+            }
+            break;
+
+          case "alert":
+            showAlert(message.alert, message.notify);
+            break;
+        }
+      };
+
+      port.start();
+      port.postMessage({
+        type: "init",
+        encoding: "binary",
+        ...feedConfig,
+        token: tokenRef.current,
+      });
+      port.postMessage({ type: "listAlerts" });
+      port.postMessage({ type: "listColumns" });
+      port.postMessage({ type: "listWorkspaces" });
+      // Anything this tab had open before a rejoin
+      if (chartRef.current) {
+        port.postMessage({ type: "subscribeBars", ...chartRef.current });
+      }
+      if (depthSymbolRef.current) {
+        port.postMessage({ type: "subscribeDepth", symbol: depthSymbolRef.current });
+      }
+      if (showTradesRef.current) port.postMessage({ type: "subscribeTrades" });
+      if (linkGroupRef.current) {
+        port.postMessage({ type: "setLinkGroup", group: linkGroupRef.current });
       }
     };
 
-    document.addEventListener("visibilitychange", handleVisibilityChange);
+    portRef.current = connectMarketHub();
+    setupPort(portRef.current);
+
+    // Tell the worker how fast this tab renders and whether it is visible;
+    // it holds batches while hidden and slows down for slow frames
+    const reportCapacity = () => {
+      portRef.current?.postMessage({
+        type: "capacity",
+        visible: !document.hidden,
+        frameTime: perfStats.recentUpdateTime,
+      });
+    };
+    const capacityInterval = setInterval(reportCapacity, 1000);
+
+    document.addEventListener("visibilitychange", reportCapacity);
 
     // Send disconnect message before page unloads
     const handleBeforeUnload = () => {
-      if (workerRef.current) {
-        workerRef.current.port.postMessage({ type: "disconnect" });
+      if (portRef.current) {
+        portRef.current.postMessage({ type: "disconnect" });
       }
     };
 
     window.addEventListener("beforeunload", handleBeforeUnload);
 
     return () => {
-      isActive = false;
-      document.removeEventListener("visibilitychange", handleVisibilityChange);
+      clearInterval(capacityInterval);
+      document.removeEventListener("visibilitychange", reportCapacity);
       window.removeEventListener("beforeunload", handleBeforeUnload);
-      if (workerRef.current) {
-        workerRef.current.port.postMessage({ type: "disconnect" });
-        workerRef.current.port.close();
+      if (portRef.current) {
+        portRef.current.postMessage({ type: "disconnect" });
+        portRef.current.close();
       }
     };
   }, []);
 
+  // Bars for the open chart, replaced when the symbol or interval changes
+  useEffect(() => {
+    if (!chartSymbol) return;
+    const request = { symbol: chartSymbol, interval: barInterval };
+    chartRef.current = request;
+    setBars([]);
+    portRef.current?.postMessage({ type: "subscribeBars", ...request });
+
+    return () => {
+      chartRef.current = null;
+      portRef.current?.postMessage({ type: "unsubscribeBars", ...request });
+    };
+  }, [chartSymbol, barInterval]);
+
+  // Order book for the ladder, replaced when another row is double-clicked
+  useEffect(() => {
+    if (!depthSymbol) return;
+    depthSymbolRef.current = depthSymbol;
+    depthBookRef.current = null;
+    setDepth(null);
+    portRef.current?.postMessage({ type: "subscribeDepth", symbol: depthSymbol });
+
+    return () => {
+      depthSymbolRef.current = null;
+      portRef.current?.postMessage({
+        type: "unsubscribeDepth",
+        symbol: depthSymbol,
+      });
+    };
+  }, [depthSymbol]);
+
   return (
     <div
       style={{
@@ -320,33 +903,25 @@ export default function App() {
           gap: "20px",
         }}
       >
-        <div>
-          Status:{" "}
-          <span
-            style={{ color: connectionStatus === "Connected" ? "green" : "red" }}
-          >
-            {connectionStatus}
-          </span>
-        </div>
+        <ConnectionStatus
+          status={connectionStatus}
+          onRetry={() =>
+            portRef.current?.postMessage({ type: "retryNow" })
+          }
+          onSignIn={signIn}
+        />
         <div style={{ display: "flex", alignItems: "center", gap: "10px" }}>
           <label htmlFor="frequency">Update Frequency (ms):</label>
           <input
             id="frequency"
             type="number"
-            min="10"
-            max="10000"
-            step="10"
-            value={updateFrequency}
-            onChange={(e) => {
-              const freq = parseInt(e.target.value, 10);
-              setUpdateFrequency(freq);
-              if (workerRef.current) {
-                workerRef.current.port.postMessage({
-                  type: "setFrequency",
-                  frequency: freq,
-                });
-              }
-            }}
+            min={FREQUENCY_RANGE.min}
+            max={FREQUENCY_RANGE.max}
+            step="5"
+            value={settingDrafts.frequency ?? updateFrequency}
+            onChange={editSetting("frequency")}
+            onBlur={commitFrequency}
+            onKeyDown={commitOnEnter}
             style={{
               width: "80px",
               padding: "4px",
@@ -362,21 +937,13 @@ export default function App() {
           <input
             id="batchMin"
             type="number"
-            min="1"
-            max="500"
+            min={BATCH_SIZE_RANGE.min}
+            max={BATCH_SIZE_RANGE.max}
             step="1"
-            value={batchSizeMin}
-            onChange={(e) => {
-              const min = parseInt(e.target.value, 10);
-              setBatchSizeMin(min);
-              if (workerRef.current) {
-                workerRef.current.port.postMessage({
-                  type: "setBatchSize",
-                  min: min,
-                  max: batchSizeMax,
-                });
-              }
-            }}
+            value={settingDrafts.batchMin ?? batchSizeMin}
+            onChange={editSetting("batchMin")}
+            onBlur={commitBatchSize}
+            onKeyDown={commitOnEnter}
             style={{
               width: "60px",
               padding: "4px",
@@ -390,21 +957,13 @@ export default function App() {
           <input
             id="batchMax"
             type="number"
-            min="1"
-            max="500"
+            min={BATCH_SIZE_RANGE.min}
+            max={BATCH_SIZE_RANGE.max}
             step="1"
-            value={batchSizeMax}
-            onChange={(e) => {
-              const max = parseInt(e.target.value, 10);
-              setBatchSizeMax(max);
-              if (workerRef.current) {
-                workerRef.current.port.postMessage({
-                  type: "setBatchSize",
-                  min: batchSizeMin,
-                  max: max,
-                });
-              }
-            }}
+            value={settingDrafts.batchMax ?? batchSizeMax}
+            onChange={editSetting("batchMax")}
+            onBlur={commitBatchSize}
+            onKeyDown={commitOnEnter}
             style={{
               width: "60px",
               padding: "4px",
@@ -415,7 +974,140 @@ export default function App() {
             }}
           />
         </div>
+        {cachedAt !== null && <CachedDataBadge cachedAt={cachedAt} />}
+        {marketSession?.state === "closed" && (
+          <span style={{ color: "#f5a623" }}>
+            Market closed until{" "}
+            {new Date(marketSession.nextChangeAt).toLocaleTimeString()}
+          </span>
+        )}
+        {marketSession?.halted.length > 0 && (
+          <span
+            style={{ color: "#f5a623" }}
+            title={marketSession.halted.join(", ")}
+          >
+            {marketSession.halted.length} halted
+          </span>
+        )}
+        {playback && (
+          <PlaybackControls
+            playback={playback}
+            onControl={(control) => portRef.current?.postMessage(control)}
+          />
+        )}
+        {serverError && (
+          <div style={{ color: "#f87171" }} title={serverError.code}>
+            {serverError.message}
+            <button
+              onClick={() => setServerError(null)}
+              title="Dismiss"
+              style={{ marginLeft: "6px", padding: "0 6px" }}
+            >
+              ×
+            </button>
+          </div>
+        )}
+        <div style={{ marginLeft: "auto" }}>
+          <WorkspaceBar
+            workspaces={workspaces}
+            current={workspaceName}
+            linkGroup={linkGroup}
+            onLoad={loadWorkspace}
+            onSave={saveWorkspace}
+            onDelete={(name) => {
+              setWorkspaceName(null);
+              portRef.current?.postMessage({ type: "deleteWorkspace", name });
+            }}
+            onLinkGroupChange={changeLinkGroup}
+          />
+        </div>
+        <button
+          onClick={() => setShowAlerts((show) => !show)}
+          style={{ padding: "2px 10px" }}
+        >
+          Alerts ({alertRules.length})
+        </button>
+        <button
+          onClick={() => setShowColumns((show) => !show)}
+          style={{ padding: "2px 10px" }}
+        >
+          Columns ({computedColumns.length})
+        </button>
+        <div style={{ display: "flex", alignItems: "center", gap: "4px" }}>
+          {exportNotice && (
+            <span style={{ color: "#888", marginRight: "6px" }}>{exportNotice}</span>
+          )}
+          Export:
+          <button onClick={() => requestExport("csv")} style={{ padding: "2px 8px" }}>
+            CSV
+          </button>
+          <button onClick={() => requestExport("xlsx")} style={{ padding: "2px 8px" }}>
+            Excel
+          </button>
+          <button
+            onClick={() => requestExport("tsv")}
+            title="Copy the selected rows as tab-separated text"
+            style={{ padding: "2px 8px" }}
+          >
+            Copy
+          </button>
+        </div>
+        <button
+          onClick={() => setShowTrades((show) => !show)}
+          style={{ padding: "2px 10px" }}
+        >
+          Trades
+        </button>
+        <button
+          onClick={() => setShowDiagnostics((show) => !show)}
+          style={{ padding: "2px 10px" }}
+        >
+          Diagnostics
+        </button>
       </div>
+      {showDiagnostics && (
+        <DiagnosticsPanel
+          diagnostics={diagnostics}
+          latency={latency ?? summarizeLatency(latencyRef.current)}
+        />
+      )}
+      {showColumns && (
+        <ComputedColumnsPanel
+          columns={computedColumns}
+          onAdd={(column) =>
+            portRef.current?.postMessage({ type: "addColumn", column })
+          }
+          onRemove={(id) =>
+            portRef.current?.postMessage({ type: "removeColumn", id })
+          }
+        />
+      )}
+      {showAlerts && (
+        <AlertsPanel
+          rules={alertRules}
+          log={alertLog}
+          onAdd={(rule) =>
+            portRef.current?.postMessage({ type: "addAlert", rule })
+          }
+          onRemove={(id) =>
+            portRef.current?.postMessage({ type: "removeAlert", id })
+          }
+        />
+      )}
+      <AlertToasts toasts={alertToasts} onDismiss={dismissToast} />
+      {chartSymbol && (
+        <ChartPanel
+          symbol={chartSymbol}
+          interval={barInterval}
+          intervals={BAR_INTERVALS}
+          bars={bars}
+          onIntervalChange={setBarInterval}
+          onClose={() => {
+            setChartSymbol(null);
+            gridRef.current?.api.deselectAll();
+          }}
+        />
+      )}
       <div
         style={{
           marginBottom: "10px",
@@ -432,13 +1124,39 @@ export default function App() {
         {perfMetrics.avg}ms | Min: {perfMetrics.min}ms | Max: {perfMetrics.max}
         ms | Total: {perfMetrics.total}
       </div>
-      <div style={{ flex: 1, width: "100%", minHeight: 0 }}>
-        <AgGridReact
-          ref={gridRef}
-          rowData={rowData}
-          columnDefs={columnDefs}
-          gridOptions={gridOptions}
-        />
+      <div style={{ flex: 1, display: "flex", gap: "10px", minHeight: 0 }}>
+        <div
+          style={{
+            flex: 1,
+            minWidth: 0,
+            // Dim saved rows so they can't be mistaken for live prices
+            opacity: cachedAt !== null ? 0.5 : 1,
+            transition: "opacity 0.3s",
+          }}
+        >
+          <AgGridReact
+            ref={gridRef}
+            rowData={rowData}
+            columnDefs={columnDefs}
+            gridOptions={gridOptions}
+          />
+        </div>
+        {depthSymbol && (
+          <DepthLadder
+            symbol={depthSymbol}
+            book={depth ?? { bids: [], asks: [], versions: new Map() }}
+            onClose={() => setDepthSymbol(null)}
+          />
+        )}
+        {showTrades && (
+          <TimeAndSales
+            trades={trades}
+            symbol={chartSymbol}
+            onlySelected={tradesForSelected}
+            onOnlySelectedChange={setTradesForSelected}
+            onClose={() => setShowTrades(false)}
+          />
+        )}
       </div>
     </div>
   );
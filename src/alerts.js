@@ -0,0 +1,53 @@
+// Alert rules, e.g. { symbol: "AAPL", field: "price", op: "crosses", value: 180 }.
+// A rule without a symbol applies to every symbol. Rules are edge-triggered:
+// they fire when a tick makes the condition true after it wasn't.
+
+export const ALERT_OPS = {
+  ">": (prev, next, value) => next > value && !(prev > value),
+  "<": (prev, next, value) => next < value && !(prev < value),
+  ">=": (prev, next, value) => next >= value && !(prev >= value),
+  "<=": (prev, next, value) => next <= value && !(prev <= value),
+  crossesAbove: (prev, next, value) => prev < value && next >= value,
+  crossesBelow: (prev, next, value) => prev > value && next <= value,
+  crosses: (prev, next, value) =>
+    (prev < value && next >= value) || (prev > value && next <= value),
+};
+
+const OP_LABELS = {
+  crossesAbove: "crosses above",
+  crossesBelow: "crosses below",
+};
+
+// Returns an error message, or null if the rule is usable
+export function validateRule(rule) {
+  if (!rule || typeof rule !== "object") return "Alert rule must be an object";
+  const { symbol = null, field, op, value } = rule;
+  if (symbol !== null && (typeof symbol !== "string" || symbol === "")) {
+    return "Alert symbol must be a non-empty string or omitted";
+  }
+  if (typeof field !== "string" || field === "" || field === "symbol") {
+    return "Alert field must name a numeric field";
+  }
+  if (!Object.hasOwn(ALERT_OPS, op)) {
+    return `Alert op must be one of ${Object.keys(ALERT_OPS).join(", ")}`;
+  }
+  if (typeof value !== "number" || !Number.isFinite(value)) {
+    return "Alert value must be a finite number";
+  }
+  return null;
+}
+
+export function describeRule({ symbol, field, op, value }) {
+  return `${symbol ?? "Any symbol"} ${field} ${OP_LABELS[op] ?? op} ${value}`;
+}
+
+// Whether a change of rule.field from prev to next fires the rule. prev is
+// undefined only when the rule is first checked against the current value.
+export function ruleFires(rule, prev, next) {
+  if (typeof next !== "number") return false;
+  if (prev === undefined) {
+    // Level rules fire at once if already true; crossings need a direction
+    return !rule.op.startsWith("crosses") && ALERT_OPS[rule.op](NaN, next, rule.value);
+  }
+  return ALERT_OPS[rule.op](prev, next, rule.value);
+}
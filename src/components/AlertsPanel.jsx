@@ -0,0 +1,95 @@
+import { useState, memo } from 'react';
+import { ALERT_OPS, describeRule } from '../alerts';
+
+const inputStyle = {
+  padding: '4px',
+  background: '#2a2a2a',
+  border: '1px solid #3a3a3a',
+  color: 'white',
+  borderRadius: '4px',
+};
+
+const panelStyle = {
+  marginBottom: '10px',
+  padding: '8px',
+  background: '#1e1e1e',
+  border: '1px solid #3a3a3a',
+  borderRadius: '4px',
+  flexShrink: 0,
+  display: 'flex',
+  gap: '20px',
+  fontSize: '13px',
+};
+
+// Rule editor, active rules and the log of fired alerts
+export const AlertsPanel = memo(({ rules, log, onAdd, onRemove }) => {
+  const [symbol, setSymbol] = useState('');
+  const [field, setField] = useState('price');
+  const [op, setOp] = useState('crosses');
+  const [value, setValue] = useState('');
+  const [notify, setNotify] = useState(false);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const threshold = parseFloat(value);
+    if (!field || Number.isNaN(threshold)) return;
+    if (notify && typeof Notification !== 'undefined' && Notification.permission === 'default') {
+      Notification.requestPermission();
+    }
+    onAdd({ symbol: symbol.trim().toUpperCase() || null, field: field.trim(), op, value: threshold, notify });
+    setValue('');
+  };
+
+  return (
+    <div style={panelStyle}>
+      <div style={{ flex: 1 }}>
+        <form onSubmit={handleSubmit} style={{ display: 'flex', gap: '6px', alignItems: 'center' }}>
+          <input placeholder="Symbol (any)" value={symbol} onChange={(e) => setSymbol(e.target.value)} style={{ ...inputStyle, width: '90px' }} />
+          <input placeholder="Field" value={field} onChange={(e) => setField(e.target.value)} style={{ ...inputStyle, width: '100px' }} />
+          <select value={op} onChange={(e) => setOp(e.target.value)} style={inputStyle}>
+            {Object.keys(ALERT_OPS).map((key) => (
+              <option key={key} value={key}>{key}</option>
+            ))}
+          </select>
+          <input placeholder="Value" type="number" step="any" value={value} onChange={(e) => setValue(e.target.value)} style={{ ...inputStyle, width: '80px' }} />
+          <label>
+            <input type="checkbox" checked={notify} onChange={(e) => setNotify(e.target.checked)} /> Notify
+          </label>
+          <button type="submit" style={{ padding: '2px 10px' }}>Add alert</button>
+        </form>
+        <ul style={{ margin: '6px 0 0', paddingLeft: '18px' }}>
+          {rules.map((rule) => (
+            <li key={rule.id}>
+              {describeRule(rule)}
+              {rule.notify && ' 🔔'}{' '}
+              <button onClick={() => onRemove(rule.id)} style={{ padding: '0 6px' }}>×</button>
+            </li>
+          ))}
+        </ul>
+      </div>
+      <div style={{ flex: 1, maxHeight: '120px', overflowY: 'auto', fontFamily: 'monospace' }}>
+        {log.length === 0 && <div style={{ color: '#888' }}>No alerts fired yet</div>}
+        {log.map((alert) => (
+          <div key={alert.id}>
+            {new Date(alert.timestamp).toLocaleTimeString()} {alert.message}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+});
+
+// Recently fired alerts, stacked in the corner until they expire
+export const AlertToasts = memo(({ toasts, onDismiss }) => (
+  <div style={{ position: 'fixed', right: '20px', bottom: '20px', display: 'flex', flexDirection: 'column', gap: '8px', zIndex: 10 }}>
+    {toasts.map((alert) => (
+      <div
+        key={alert.id}
+        onClick={() => onDismiss(alert.id)}
+        style={{ padding: '8px 12px', background: '#3a2a00', border: '1px solid #f5a623', borderRadius: '4px', cursor: 'pointer' }}
+      >
+        {alert.message}
+      </div>
+    ))}
+  </div>
+));
@@ -0,0 +1,29 @@
+import { useEffect, useState, memo } from 'react';
+
+function formatAge(ms) {
+  const seconds = Math.max(0, Math.round(ms / 1000));
+  if (seconds < 60) return `${seconds}s`;
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m`;
+  if (seconds < 86400) return `${Math.floor(seconds / 3600)}h`;
+  return `${Math.floor(seconds / 86400)}d`;
+}
+
+// Shown while the grid holds the worker's saved snapshot rather than live data
+export const CachedDataBadge = memo(({ cachedAt }) => {
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    setNow(Date.now());
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [cachedAt]);
+
+  return (
+    <span
+      style={{ color: '#f5a623' }}
+      title={`Saved at ${new Date(cachedAt).toLocaleString()}`}
+    >
+      Offline data, {formatAge(now - cachedAt)} old
+    </span>
+  );
+});
@@ -0,0 +1,77 @@
+import { memo } from 'react';
+
+const WIDTH = 800;
+const PRICE_HEIGHT = 160;
+const VOLUME_HEIGHT = 40;
+const MAX_BARS = 120;
+
+const panelStyle = {
+  marginBottom: '10px',
+  padding: '8px',
+  background: '#1e1e1e',
+  border: '1px solid #3a3a3a',
+  borderRadius: '4px',
+  flexShrink: 0,
+  fontSize: '13px',
+};
+
+// Candlestick chart of a symbol's OHLC bars, with volume underneath
+export const ChartPanel = memo(({ symbol, interval, intervals, bars, onIntervalChange, onClose }) => {
+  const shown = bars.slice(-MAX_BARS);
+  const low = Math.min(...shown.map((bar) => bar.low));
+  const range = Math.max(...shown.map((bar) => bar.high)) - low || 1;
+  const maxVolume = Math.max(...shown.map((bar) => bar.volume)) || 1;
+  const slot = WIDTH / MAX_BARS;
+  const y = (price) => PRICE_HEIGHT - ((price - low) / range) * PRICE_HEIGHT;
+  const last = shown[shown.length - 1];
+
+  return (
+    <div style={panelStyle}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '6px' }}>
+        <strong>{symbol}</strong>
+        {intervals.map((name) => (
+          <button
+            key={name}
+            onClick={() => onIntervalChange(name)}
+            style={{ padding: '0 8px', fontWeight: name === interval ? 'bold' : 'normal' }}
+          >
+            {name}
+          </button>
+        ))}
+        {last && (
+          <span style={{ fontFamily: 'monospace', color: '#aaa' }}>
+            O {last.open.toFixed(2)} H {last.high.toFixed(2)} L {last.low.toFixed(2)} C {last.close.toFixed(2)} V{' '}
+            {last.volume.toLocaleString()}
+          </span>
+        )}
+        <button onClick={onClose} style={{ marginLeft: 'auto', padding: '0 6px' }}>×</button>
+      </div>
+      {shown.length === 0 ? (
+        <div style={{ color: '#888' }}>Waiting for bars…</div>
+      ) : (
+        <svg viewBox={`0 0 ${WIDTH} ${PRICE_HEIGHT + VOLUME_HEIGHT}`} width="100%" height={PRICE_HEIGHT + VOLUME_HEIGHT} preserveAspectRatio="none">
+          {shown.map((bar, i) => {
+            const x = i * slot + slot / 2;
+            const color = bar.close >= bar.open ? '#4ade80' : '#f87171';
+            const top = y(Math.max(bar.open, bar.close));
+            const volumeHeight = (bar.volume / maxVolume) * VOLUME_HEIGHT;
+            return (
+              <g key={bar.time}>
+                <line x1={x} x2={x} y1={y(bar.high)} y2={y(bar.low)} stroke={color} />
+                <rect x={x - slot * 0.35} width={slot * 0.7} y={top} height={Math.max(1, y(Math.min(bar.open, bar.close)) - top)} fill={color} />
+                <rect
+                  x={x - slot * 0.35}
+                  width={slot * 0.7}
+                  y={PRICE_HEIGHT + VOLUME_HEIGHT - volumeHeight}
+                  height={volumeHeight}
+                  fill={color}
+                  opacity={0.4}
+                />
+              </g>
+            );
+          })}
+        </svg>
+      )}
+    </div>
+  );
+});
@@ -0,0 +1,68 @@
+import { useState, memo } from 'react';
+import { validateColumn } from '../expressions';
+
+const inputStyle = {
+  padding: '4px',
+  background: '#2a2a2a',
+  border: '1px solid #3a3a3a',
+  color: 'white',
+  borderRadius: '4px',
+};
+
+const panelStyle = {
+  marginBottom: '10px',
+  padding: '8px',
+  background: '#1e1e1e',
+  border: '1px solid #3a3a3a',
+  borderRadius: '4px',
+  flexShrink: 0,
+  fontSize: '13px',
+};
+
+// Add and remove computed columns. Expressions are checked here for quick
+// feedback; the worker checks them again, along with the field names.
+export const ComputedColumnsPanel = memo(({ columns, onAdd, onRemove }) => {
+  const [name, setName] = useState('');
+  const [expression, setExpression] = useState('');
+  const [error, setError] = useState(null);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const column = { name: name.trim(), expression: expression.trim() };
+    const message = validateColumn(column);
+    setError(message);
+    if (message) return;
+    onAdd(column);
+    setName('');
+    setExpression('');
+  };
+
+  return (
+    <div style={panelStyle}>
+      <form onSubmit={handleSubmit} style={{ display: 'flex', gap: '6px', alignItems: 'center' }}>
+        <input placeholder="Name, e.g. spread" value={name} onChange={(e) => setName(e.target.value)} style={{ ...inputStyle, width: '120px' }} />
+        <span>=</span>
+        <input
+          placeholder="Expression, e.g. ask - bid"
+          value={expression}
+          onChange={(e) => setExpression(e.target.value)}
+          style={{ ...inputStyle, flex: 1, fontFamily: 'monospace' }}
+        />
+        <button type="submit" style={{ padding: '2px 10px' }}>Add column</button>
+      </form>
+      {error && <div style={{ color: '#f87171', marginTop: '4px' }}>{error}</div>}
+      <div style={{ color: '#888', marginTop: '4px' }}>
+        Fields and numbers with + - * / % and parentheses; abs, sqrt, log, exp, round, pow, min, max;
+        mean, stdev and zscore over the last n ticks, e.g. zscore(price, 20)
+      </div>
+      <ul style={{ margin: '6px 0 0', paddingLeft: '18px', fontFamily: 'monospace' }}>
+        {columns.map((column) => (
+          <li key={column.id}>
+            {column.name} = {column.expression}{' '}
+            <button onClick={() => onRemove(column.id)} style={{ padding: '0 6px' }}>×</button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+});
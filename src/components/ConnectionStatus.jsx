@@ -0,0 +1,78 @@
+import { useEffect, useState, memo } from 'react';
+
+const STATE_COLORS = {
+  connecting: 'orange',
+  open: 'green',
+  stale: 'orange',
+  reconnecting: 'orange',
+  failed: 'red',
+};
+
+function describe(status, now) {
+  switch (status.state) {
+    case 'open':
+      return 'Connected';
+    case 'stale':
+      return `Stale (no data for ${Math.round((now - status.lastMessageAt) / 1000)}s)`;
+    case 'reconnecting': {
+      const seconds = Math.max(0, Math.ceil((status.nextRetryAt - now) / 1000));
+      return `Reconnecting in ${seconds}s (attempt ${status.attempt}/${status.maxAttempts})`;
+    }
+    case 'failed':
+      if (status.authError === 'TOKEN_EXPIRED') return 'Token expired';
+      if (status.authError) return 'Not authorized';
+      return `Failed after ${status.maxAttempts} attempts`;
+    default:
+      return 'Connecting...';
+  }
+}
+
+export const ConnectionStatus = memo(({ status, onRetry, onSignIn }) => {
+  const [now, setNow] = useState(Date.now());
+  const [token, setToken] = useState('');
+  const ticking = status.state === 'reconnecting' || status.state === 'stale';
+
+  // Tick while a countdown or stale age is on screen
+  useEffect(() => {
+    if (!ticking) return;
+    setNow(Date.now());
+    const timer = setInterval(() => setNow(Date.now()), 250);
+    return () => clearInterval(timer);
+  }, [ticking, status]);
+
+  const canRetry = ['reconnecting', 'stale', 'failed'].includes(status.state);
+
+  return (
+    <div style={{ display: 'flex', alignItems: 'center', gap: '10px' }}>
+      <span>
+        Status:{' '}
+        <span style={{ color: STATE_COLORS[status.state] ?? 'red' }}>
+          {describe(status, now)}
+        </span>
+      </span>
+      {canRetry && (
+        <button onClick={onRetry} style={{ padding: '2px 10px' }}>
+          Retry now
+        </button>
+      )}
+      {status.authError && (
+        <form
+          onSubmit={(e) => {
+            e.preventDefault();
+            if (token) onSignIn(token);
+          }}
+          style={{ display: 'flex', gap: '6px' }}
+        >
+          <input
+            type="password"
+            placeholder="Token"
+            value={token}
+            onChange={(e) => setToken(e.target.value)}
+            style={{ padding: '4px', background: '#2a2a2a', border: '1px solid #3a3a3a', color: 'white', borderRadius: '4px' }}
+          />
+          <button type="submit" style={{ padding: '2px 10px' }}>Sign in</button>
+        </form>
+      )}
+    </div>
+  );
+});
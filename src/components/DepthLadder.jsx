@@ -0,0 +1,68 @@
+import { memo } from 'react';
+
+const panelStyle = {
+  width: '260px',
+  flexShrink: 0,
+  padding: '8px',
+  background: '#1e1e1e',
+  border: '1px solid #3a3a3a',
+  borderRadius: '4px',
+  fontFamily: 'monospace',
+  fontSize: '12px',
+  overflowY: 'auto',
+};
+
+const SizeCell = ({ size, maxSize, color, align }) => (
+  <td
+    style={{
+      textAlign: align,
+      padding: '1px 6px',
+      background: size
+        ? `linear-gradient(to ${align === 'right' ? 'left' : 'right'}, ${color} ${(size / maxSize) * 100}%, transparent 0)`
+        : undefined,
+    }}
+  >
+    {size?.toLocaleString()}
+  </td>
+);
+
+// Price ladder: asks above bids, best prices in the middle. versions maps
+// "side:price" to a counter bumped on each change, so a changed level's row
+// remounts and replays the flash.
+export const DepthLadder = memo(({ symbol, book, onClose }) => {
+  const maxSize = Math.max(1, ...book.bids.map(([, size]) => size), ...book.asks.map(([, size]) => size));
+  const rows = [
+    ...[...book.asks].reverse().map(([price, size]) => ({ side: 'ask', price, size })),
+    ...book.bids.map(([price, size]) => ({ side: 'bid', price, size })),
+  ];
+
+  return (
+    <div style={panelStyle}>
+      <div style={{ display: 'flex', alignItems: 'center', marginBottom: '6px' }}>
+        <strong>{symbol} depth</strong>
+        <button onClick={onClose} style={{ marginLeft: 'auto', padding: '0 6px' }}>×</button>
+      </div>
+      {rows.length === 0 ? (
+        <div style={{ color: '#888' }}>Waiting for the book…</div>
+      ) : (
+        <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+          <tbody>
+            {rows.map(({ side, price, size }) => {
+              const key = `${side}:${price}`;
+              const version = book.versions.get(key);
+              return (
+                <tr key={`${key}:${version ?? 0}`} className={version ? 'level-changed' : undefined}>
+                  <SizeCell size={side === 'bid' ? size : null} maxSize={maxSize} color="rgba(74, 222, 128, 0.25)" align="right" />
+                  <td style={{ textAlign: 'center', padding: '1px 6px', color: side === 'bid' ? '#4ade80' : '#f87171' }}>
+                    {price.toFixed(2)}
+                  </td>
+                  <SizeCell size={side === 'ask' ? size : null} maxSize={maxSize} color="rgba(248, 113, 113, 0.25)" align="left" />
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+});
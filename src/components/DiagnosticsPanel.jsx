@@ -0,0 +1,114 @@
+import { memo } from 'react';
+
+const panelStyle = {
+  marginBottom: '10px',
+  padding: '8px',
+  background: '#1e1e1e',
+  border: '1px solid #3a3a3a',
+  borderRadius: '4px',
+  flexShrink: 0,
+  display: 'flex',
+  gap: '20px',
+  fontFamily: 'monospace',
+  fontSize: '12px',
+};
+
+const cellStyle = { padding: '1px 8px', textAlign: 'right' };
+
+const formatAge = (ms) => (ms === null ? '-' : ms < 1000 ? `${ms}ms` : `${(ms / 1000).toFixed(1)}s`);
+
+const Table = ({ columns, rows }) => (
+  <table style={{ borderCollapse: 'collapse' }}>
+    <thead>
+      <tr>
+        {columns.map((column) => (
+          <th key={column} style={{ ...cellStyle, color: '#888', fontWeight: 'normal' }}>{column}</th>
+        ))}
+      </tr>
+    </thead>
+    <tbody>
+      {rows.map(({ key, cells, highlight }) => (
+        <tr key={key} style={{ color: highlight ? '#4ade80' : undefined }}>
+          {cells.map((cell, i) => (
+            <td key={i} style={cellStyle}>{cell}</td>
+          ))}
+        </tr>
+      ))}
+    </tbody>
+  </table>
+);
+
+// Latency histogram with p50/p99, drawn as horizontal bars
+const LatencyHistogram = ({ latency }) => {
+  const max = Math.max(1, ...latency.buckets.map((bucket) => bucket.count));
+  return (
+    <div style={{ minWidth: '220px' }}>
+      <div style={{ marginBottom: '4px' }}>
+        Server → render: p50 {latency.p50?.toFixed(1) ?? '-'}ms · p99 {latency.p99?.toFixed(1) ?? '-'}ms ({latency.count})
+      </div>
+      {latency.buckets.map(({ le, count }) => (
+        <div key={le} style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+          <span style={{ width: '60px', textAlign: 'right', color: '#888' }}>
+            {le === Infinity ? '> 1s' : `≤ ${le}ms`}
+          </span>
+          <div style={{ width: `${(count / max) * 120}px`, height: '8px', background: '#60a5fa' }} />
+          <span>{count || ''}</span>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+// The worker's feeds and ports plus this tab's end-to-end latency
+export const DiagnosticsPanel = memo(({ diagnostics, latency }) => (
+  <div style={panelStyle}>
+    {!diagnostics ? (
+      <div style={{ color: '#888' }}>Waiting for the worker…</div>
+    ) : (
+      <>
+        <div>
+          <Table
+            columns={['Feed', 'State', 'Ports', 'Msgs/s', 'Rows/s in', 'Batches/s', 'Rows/batch', 'Dedup', 'Reconnects', 'Last msg', 'Buffered']}
+            rows={diagnostics.feeds.map((feed, i) => ({
+              key: i,
+              highlight: feed.mine,
+              cells: [
+                feed.endpoint,
+                feed.state,
+                feed.ports,
+                feed.rates.messagesIn,
+                feed.rates.rowsIn,
+                feed.rates.batchesOut,
+                feed.averageBatchSize.toFixed(1),
+                `${(feed.dedupRatio * 100).toFixed(0)}%`,
+                feed.reconnects,
+                formatAge(feed.lastMessageAge),
+                feed.bufferedAmount,
+              ],
+            }))}
+          />
+        </div>
+        <div>
+          <Table
+            columns={['Tab', 'Last pong', 'Visible', 'Interval', 'Held', 'Batches/s', 'Rows/s']}
+            rows={diagnostics.ports.map((port) => ({
+              key: port.id,
+              highlight: port.id === diagnostics.portId,
+              cells: [
+                `${port.id}${port.id === diagnostics.portId ? ' (this)' : port.sameFeed ? '' : ' *'}`,
+                formatAge(port.lastPongAge),
+                port.visible ? 'yes' : 'no',
+                `${Math.round(port.flushInterval)}ms`,
+                port.heldRows,
+                port.rates.messages,
+                port.rates.rows,
+              ],
+            }))}
+          />
+          <div style={{ color: '#888', marginTop: '4px' }}>* on another feed</div>
+        </div>
+        <LatencyHistogram latency={latency} />
+      </>
+    )}
+  </div>
+));
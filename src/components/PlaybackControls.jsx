@@ -0,0 +1,39 @@
+import { memo } from 'react';
+
+const SPEEDS = [1, 2, 5, 10, 'max'];
+
+const formatTime = (ms) => {
+  const seconds = Math.floor(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+// Controls for a server replaying a recording (server.js --replay)
+export const PlaybackControls = memo(({ playback, onControl }) => (
+  <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+    <button
+      onClick={() => onControl({ type: playback.state === 'playing' ? 'pause' : 'resume' })}
+      style={{ padding: '2px 10px' }}
+    >
+      {playback.state === 'playing' ? 'Pause' : playback.state === 'ended' ? 'Replay' : 'Play'}
+    </button>
+    <input
+      type="range"
+      min="0"
+      max={playback.duration}
+      value={playback.position}
+      onChange={(e) => onControl({ type: 'seek', position: Number(e.target.value) })}
+      style={{ width: '160px' }}
+    />
+    <span style={{ fontFamily: 'monospace' }}>
+      {formatTime(playback.position)} / {formatTime(playback.duration)}
+    </span>
+    <select
+      value={playback.speed}
+      onChange={(e) => onControl({ type: 'setSpeed', speed: e.target.value === 'max' ? 'max' : Number(e.target.value) })}
+    >
+      {SPEEDS.map((speed) => (
+        <option key={speed} value={speed}>{speed === 'max' ? 'Max' : `${speed}x`}</option>
+      ))}
+    </select>
+  </div>
+));
@@ -0,0 +1,24 @@
+import { memo } from 'react';
+
+const WIDTH = 100;
+const HEIGHT = 24;
+
+// Inline SVG trend line of a { timestamps, values } series
+export const SparklineCellRenderer = memo((props) => {
+  const values = props.value?.values;
+  if (!values || values.length < 2) return null;
+
+  const min = Math.min(...values);
+  const range = Math.max(...values) - min || 1;
+  const step = WIDTH / (values.length - 1);
+  const points = values
+    .map((value, i) => `${(i * step).toFixed(1)},${(HEIGHT - ((value - min) / range) * HEIGHT).toFixed(1)}`)
+    .join(' ');
+  const rising = values[values.length - 1] >= values[0];
+
+  return (
+    <svg width={WIDTH} height={HEIGHT} style={{ verticalAlign: 'middle' }}>
+      <polyline points={points} fill="none" stroke={rising ? '#4ade80' : '#f87171'} strokeWidth="1" />
+    </svg>
+  );
+});
@@ -0,0 +1,83 @@
+import { memo } from 'react';
+
+const panelStyle = {
+  width: '300px',
+  flexShrink: 0,
+  padding: '8px',
+  background: '#1e1e1e',
+  border: '1px solid #3a3a3a',
+  borderRadius: '4px',
+  fontFamily: 'monospace',
+  fontSize: '12px',
+  display: 'flex',
+  flexDirection: 'column',
+};
+
+const cellStyle = { padding: '1px 6px', textAlign: 'right' };
+const MAX_ROWS = 200; // VWAP covers every print; only the newest are listed
+
+// Time-and-sales blotter, newest print first. With onlySelected it shows
+// just the selected symbol. Each row's VWAP is its own symbol's, from the
+// oldest print kept to that row; the summary needs a single symbol.
+export const TimeAndSales = memo(({ trades, symbol, onlySelected, onOnlySelectedChange, onClose }) => {
+  const filtered = Boolean(symbol && onlySelected);
+  const shown = filtered ? trades.filter((trade) => trade.symbol === symbol) : trades;
+
+  const totals = new Map(); // Map of symbol -> { notional, volume }
+  const rows = shown.map((trade) => {
+    const total = totals.get(trade.symbol) ?? { notional: 0, volume: 0 };
+    total.notional += trade.price * trade.size;
+    total.volume += trade.size;
+    totals.set(trade.symbol, total);
+    return { trade, vwap: total.notional / total.volume };
+  });
+  const newest = rows.slice(-MAX_ROWS).reverse();
+  const { notional, volume } = (filtered && totals.get(symbol)) || { notional: 0, volume: 0 };
+
+  return (
+    <div style={panelStyle}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '6px' }}>
+        <strong>Time &amp; sales</strong>
+        <label title={symbol ? undefined : 'Select a row first'}>
+          <input
+            type="checkbox"
+            checked={onlySelected}
+            disabled={!symbol}
+            onChange={(e) => onOnlySelectedChange(e.target.checked)}
+          />{' '}
+          {symbol ?? 'Selected'} only
+        </label>
+        <button onClick={onClose} style={{ marginLeft: 'auto', padding: '0 6px' }}>×</button>
+      </div>
+      <div style={{ marginBottom: '6px' }}>
+        {filtered
+          ? `VWAP: ${volume > 0 ? `$${(notional / volume).toFixed(2)}` : '-'} over ${volume.toLocaleString()} shares`
+          : `${shown.length.toLocaleString()} prints in ${totals.size} symbols; VWAP per symbol`}
+      </div>
+      <div style={{ overflowY: 'auto', flex: 1 }}>
+        <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+          <thead>
+            <tr style={{ color: '#888' }}>
+              <th style={cellStyle}>Time</th>
+              <th style={cellStyle}>Symbol</th>
+              <th style={cellStyle}>Price</th>
+              <th style={cellStyle}>Size</th>
+              <th style={cellStyle}>VWAP</th>
+            </tr>
+          </thead>
+          <tbody>
+            {newest.map(({ trade, vwap }) => (
+              <tr key={`${trade.id}:${trade.timestamp}`} style={{ color: trade.side === 'buy' ? '#4ade80' : '#f87171' }}>
+                <td style={cellStyle}>{new Date(trade.timestamp).toLocaleTimeString()}</td>
+                <td style={cellStyle}>{trade.symbol}</td>
+                <td style={cellStyle}>{trade.price.toFixed(2)}</td>
+                <td style={cellStyle}>{trade.size.toLocaleString()}</td>
+                <td style={{ ...cellStyle, color: '#ccc' }}>{vwap.toFixed(2)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+});
@@ -0,0 +1,51 @@
+import { useEffect, useState, memo } from 'react';
+import { LINK_GROUPS } from '../workspaces';
+
+const inputStyle = {
+  padding: '4px',
+  background: '#2a2a2a',
+  border: '1px solid #3a3a3a',
+  color: 'white',
+  borderRadius: '4px',
+};
+
+// Load, save and delete named workspaces, and pick this tab's link group
+export const WorkspaceBar = memo(({ workspaces, current, linkGroup, onLoad, onSave, onDelete, onLinkGroupChange }) => {
+  const [name, setName] = useState(current ?? '');
+
+  useEffect(() => {
+    setName(current ?? '');
+  }, [current]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (name.trim()) onSave(name.trim());
+  };
+
+  return (
+    <form onSubmit={handleSubmit} style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+      <select value={current ?? ''} onChange={(e) => e.target.value && onLoad(e.target.value)} style={inputStyle}>
+        <option value="">Workspace…</option>
+        {workspaces.map((workspace) => (
+          <option key={workspace.name} value={workspace.name}>{workspace.name}</option>
+        ))}
+      </select>
+      <input placeholder="Name" value={name} onChange={(e) => setName(e.target.value)} style={{ ...inputStyle, width: '100px' }} />
+      <button type="submit" style={{ padding: '2px 10px' }}>Save</button>
+      {current && (
+        <button type="button" onClick={() => onDelete(current)} style={{ padding: '2px 10px' }}>Delete</button>
+      )}
+      <select
+        value={linkGroup ?? ''}
+        onChange={(e) => onLinkGroupChange(e.target.value || null)}
+        title="Tabs in the same link group share their selection"
+        style={{ ...inputStyle, color: linkGroup ?? 'white' }}
+      >
+        <option value="">No link</option>
+        {LINK_GROUPS.map((group) => (
+          <option key={group} value={group}>Link: {group}</option>
+        ))}
+      </select>
+    </form>
+  );
+});
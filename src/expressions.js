@@ -0,0 +1,284 @@
+// Expression language for computed columns, e.g. "ask - bid",
+// "(bid + ask) / 2", "metric3 / metric7" or "zscore(price, 20)". Expressions
+// are parsed into a tree of closures once (no eval) and then evaluated per
+// row. Grammar:
+//   expression := term (("+" | "-") term)*
+//   term       := unary (("*" | "/" | "%") unary)*
+//   unary      := "-" unary | primary
+//   primary    := number | field | name "(" expression ("," expression)* ")"
+//               | "(" expression ")"
+// Window functions (mean, stdev, zscore) take an expression and a window size
+// and keep the last n values of the expression per symbol, adding a value
+// only when one of the expression's fields changed.
+
+export class ExpressionError extends Error {
+  constructor(message, position) {
+    super(position === undefined ? message : `${message} at position ${position + 1}`);
+    this.name = "ExpressionError";
+  }
+}
+
+const FUNCTIONS = {
+  abs: { arity: [1, 1], fn: Math.abs },
+  sqrt: { arity: [1, 1], fn: Math.sqrt },
+  log: { arity: [1, 1], fn: Math.log },
+  exp: { arity: [1, 1], fn: Math.exp },
+  round: {
+    arity: [1, 2],
+    fn: (value, digits = 0) => Math.round(value * 10 ** digits) / 10 ** digits,
+  },
+  pow: { arity: [2, 2], fn: Math.pow },
+  min: { arity: [2, Infinity], fn: Math.min },
+  max: { arity: [2, Infinity], fn: Math.max },
+};
+
+const WINDOW_FUNCTIONS = {
+  mean: (window) => (window.length > 0 ? window.sum / window.length : NaN),
+  stdev: (window) => standardDeviation(window),
+  zscore: (window) =>
+    (window.last - window.sum / window.length) / standardDeviation(window),
+};
+
+const MAX_WINDOW = 1000;
+
+const BINARY_OPS = {
+  "+": (a, b) => a + b,
+  "-": (a, b) => a - b,
+  "*": (a, b) => a * b,
+  "/": (a, b) => a / b,
+  "%": (a, b) => a % b,
+};
+
+function tokenize(source) {
+  const tokens = [];
+  const pattern = /\s*(?:(\d+\.?\d*(?:e[+-]?\d+)?|\.\d+(?:e[+-]?\d+)?)|([A-Za-z_]\w*)|([-+*/%(),]))/iy;
+  let position = 0;
+  while (position < source.length) {
+    if (/^\s*$/.test(source.slice(position))) break;
+    pattern.lastIndex = position;
+    const match = pattern.exec(source);
+    if (!match) {
+      throw new ExpressionError("Unexpected character", position + source.slice(position).search(/\S/));
+    }
+    const start = match.index + match[0].length - (match[1] ?? match[2] ?? match[3]).length;
+    if (match[1]) tokens.push({ type: "number", value: Number(match[1]), position: start });
+    else if (match[2]) tokens.push({ type: "name", value: match[2], position: start });
+    else tokens.push({ type: match[3], position: start });
+    position = pattern.lastIndex;
+  }
+  tokens.push({ type: "end", position: source.length });
+  return tokens;
+}
+
+function parse(source) {
+  const tokens = tokenize(source);
+  let index = 0;
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+  const expect = (type) => {
+    const token = next();
+    if (token.type !== type) {
+      throw new ExpressionError(`Expected "${type}"`, token.position);
+    }
+    return token;
+  };
+
+  function expression() {
+    let node = term();
+    while (peek().type === "+" || peek().type === "-") {
+      node = { type: "binary", op: next().type, left: node, right: term() };
+    }
+    return node;
+  }
+
+  function term() {
+    let node = unary();
+    while (["*", "/", "%"].includes(peek().type)) {
+      node = { type: "binary", op: next().type, left: node, right: unary() };
+    }
+    return node;
+  }
+
+  function unary() {
+    if (peek().type === "-") {
+      next();
+      return { type: "negate", arg: unary() };
+    }
+    return primary();
+  }
+
+  function primary() {
+    const token = next();
+    if (token.type === "number") return { type: "number", value: token.value };
+    if (token.type === "(") {
+      const node = expression();
+      expect(")");
+      return node;
+    }
+    if (token.type !== "name") {
+      throw new ExpressionError("Expected a number, field or function", token.position);
+    }
+    if (peek().type !== "(") return { type: "field", name: token.value };
+
+    next();
+    const args = [expression()];
+    while (peek().type === ",") {
+      next();
+      args.push(expression());
+    }
+    expect(")");
+    return { type: "call", name: token.value, args, position: token.position };
+  }
+
+  const node = expression();
+  if (peek().type !== "end") {
+    throw new ExpressionError("Unexpected input", peek().position);
+  }
+  return node;
+}
+
+function standardDeviation({ length, sum, sumOfSquares }) {
+  if (length < 2) return NaN;
+  return Math.sqrt(Math.max(0, (sumOfSquares - (sum * sum) / length) / (length - 1)));
+}
+
+function pushWindow(window, value) {
+  if (!Number.isFinite(value)) return;
+  const { values } = window;
+  if (window.length === values.length) {
+    const oldest = values[window.start];
+    window.sum -= oldest;
+    window.sumOfSquares -= oldest * oldest;
+    window.start = (window.start + 1) % values.length;
+    window.length--;
+  }
+  values[(window.start + window.length) % values.length] = value;
+  window.length++;
+  window.sum += value;
+  window.sumOfSquares += value * value;
+  window.last = value;
+}
+
+// Compile an expression. Returns { source, fields, evaluate(row, delta, state) }
+// where fields are the row fields it reads, delta the fields that just changed
+// and state a per-symbol array the window functions keep their values in.
+// Throws an ExpressionError if the expression is invalid.
+export function compileExpression(source) {
+  if (typeof source !== "string" || source.trim() === "") {
+    throw new ExpressionError("Expression must be a non-empty string");
+  }
+  let windowCount = 0;
+
+  function compile(node) {
+    switch (node.type) {
+      case "number": {
+        const { value } = node;
+        return { fields: new Set(), evaluate: () => value };
+      }
+      case "field": {
+        const { name } = node;
+        return {
+          fields: new Set([name]),
+          evaluate: (row) => (typeof row[name] === "number" ? row[name] : NaN),
+        };
+      }
+      case "negate": {
+        const arg = compile(node.arg);
+        return { fields: arg.fields, evaluate: (row, delta, state) => -arg.evaluate(row, delta, state) };
+      }
+      case "binary": {
+        const left = compile(node.left);
+        const right = compile(node.right);
+        const op = BINARY_OPS[node.op];
+        return {
+          fields: new Set([...left.fields, ...right.fields]),
+          evaluate: (row, delta, state) => op(left.evaluate(row, delta, state), right.evaluate(row, delta, state)),
+        };
+      }
+      case "call":
+        return Object.hasOwn(WINDOW_FUNCTIONS, node.name) ? compileWindow(node) : compileCall(node);
+    }
+  }
+
+  function compileCall({ name, args, position }) {
+    const definition = Object.hasOwn(FUNCTIONS, name) && FUNCTIONS[name];
+    if (!definition) throw new ExpressionError(`Unknown function "${name}"`, position);
+    const [minArgs, maxArgs] = definition.arity;
+    if (args.length < minArgs || args.length > maxArgs) {
+      throw new ExpressionError(`Wrong number of arguments to "${name}"`, position);
+    }
+    const compiled = args.map(compile);
+    const { fn } = definition;
+    return {
+      fields: new Set(compiled.flatMap((arg) => [...arg.fields])),
+      evaluate: (row, delta, state) => fn(...compiled.map((arg) => arg.evaluate(row, delta, state))),
+    };
+  }
+
+  function compileWindow({ name, args, position }) {
+    const [valueArg, sizeArg] = args;
+    if (
+      args.length !== 2 ||
+      sizeArg.type !== "number" ||
+      !Number.isInteger(sizeArg.value) ||
+      sizeArg.value < 2 ||
+      sizeArg.value > MAX_WINDOW
+    ) {
+      throw new ExpressionError(
+        `"${name}" takes an expression and a window size from 2 to ${MAX_WINDOW}`,
+        position,
+      );
+    }
+    const inner = compile(valueArg);
+    if (inner.fields.size === 0) {
+      throw new ExpressionError(`"${name}" needs an expression of row fields`, position);
+    }
+    const slot = windowCount++;
+    const size = sizeArg.value;
+    const stat = WINDOW_FUNCTIONS[name];
+    const inputs = [...inner.fields];
+    return {
+      fields: inner.fields,
+      evaluate: (row, delta, state) => {
+        state[slot] ??= { values: new Float64Array(size), start: 0, length: 0, sum: 0, sumOfSquares: 0, last: NaN };
+        if (inputs.some((field) => field in delta)) {
+          pushWindow(state[slot], inner.evaluate(row, delta, state));
+        }
+        return stat(state[slot]);
+      },
+    };
+  }
+
+  const root = compile(parse(source));
+  if (root.fields.size === 0) {
+    throw new ExpressionError("Expression must reference at least one field");
+  }
+  return {
+    source,
+    fields: [...root.fields],
+    evaluate: (row, delta, state) => {
+      const value = root.evaluate(row, delta, state);
+      return Number.isFinite(value) ? value : NaN;
+    },
+  };
+}
+
+// Returns an error message, or null if the column can be added. Whether the
+// name is free depends on the feed's fields, so the hub checks that itself.
+export function validateColumn(column) {
+  if (!column || typeof column !== "object") return "Column must be an object";
+  const { name, expression } = column;
+  if (typeof name !== "string" || !/^[A-Za-z_]\w*$/.test(name)) {
+    return "Column name must be a letter or _ followed by letters, digits or _";
+  }
+  if (Object.hasOwn(FUNCTIONS, name) || Object.hasOwn(WINDOW_FUNCTIONS, name)) {
+    return `Column name "${name}" is a function name`;
+  }
+  try {
+    compileExpression(expression);
+  } catch (error) {
+    if (error instanceof ExpressionError) return error.message;
+    throw error;
+  }
+  return null;
+}
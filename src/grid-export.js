@@ -0,0 +1,106 @@
+import { createGrid } from "ag-grid-community";
+import { toXlsx } from "./xlsx.js";
+
+// Export a point-in-time snapshot of the worker's rows as the tab shows them.
+// The snapshot goes into a detached grid built from the live grid's column
+// definitions (current order, sort and visibility included) and filter model,
+// so AG Grid's own filters, sort and CSV export produce the file rather than
+// the live grid, which keeps moving while we read it. Excel files are written
+// from the same grid's rows by src/xlsx.js.
+
+function isBlank(value) {
+  return value === null || value === undefined || value === "";
+}
+
+function cellText(value) {
+  if (isBlank(value) || (typeof value === "number" && !Number.isFinite(value))) {
+    return "";
+  }
+  return String(value);
+}
+
+// Nothing is rendered, and the live grid's renderers are React components
+function exportColumnDefs(columnDefs) {
+  return columnDefs.map(({ cellRenderer, children, ...column }) =>
+    children ? { ...column, children: exportColumnDefs(children) } : column,
+  );
+}
+
+// Displayed columns holding row fields, so not the trend sparkline
+function exportColumns(api) {
+  return api.getAllDisplayedColumns().filter((column) => column.getColDef().field);
+}
+
+// Runs read(grid) on a detached grid holding the snapshot rows, set up with
+// the live grid's columns, sort and filters
+function withExportGrid(api, rows, read) {
+  const grid = createGrid(document.createElement("div"), {
+    columnDefs: exportColumnDefs(api.getColumnDefs() ?? []),
+    // Raw values rather than display formatting, so numbers stay numbers
+    defaultColDef: {
+      ...api.getGridOption("defaultColDef"),
+      useValueFormatterForExport: false,
+    },
+    rowData: rows,
+  });
+  try {
+    grid.setFilterModel(api.getFilterModel());
+    return read(grid);
+  } finally {
+    grid.destroy();
+  }
+}
+
+// Rows of the snapshot that pass the live grid's filters, in its sort order,
+// as getDataAsCsv(params) writes them; returns { text, rowCount }
+function exportRows(api, rows, params) {
+  return withExportGrid(api, rows, (grid) => ({
+    text: grid.getDataAsCsv({
+      columnKeys: exportColumns(api).map((column) => column.getColId()),
+      ...params,
+    }),
+    rowCount: grid.getDisplayedRowCount(),
+  }));
+}
+
+export function toCsv(api, rows) {
+  return exportRows(api, rows, {
+    processCellCallback: ({ value }) => cellText(value),
+  });
+}
+
+// Tab-separated, as spreadsheets expect on paste; tabs and line breaks
+// inside values become spaces
+export function toTsv(api, rows) {
+  return exportRows(api, rows, {
+    columnSeparator: "\t",
+    suppressQuotes: true,
+    processCellCallback: ({ value }) => cellText(value).replace(/[\t\r\n]+/g, " "),
+  });
+}
+
+// The same rows as an .xlsx workbook with numbers kept as numbers, the
+// snapshot's seq and time in its properties; returns { data, rowCount }
+export function toXlsxFile(api, rows, { seq, timestamp }) {
+  const columns = exportColumns(api);
+  return withExportGrid(api, rows, (grid) => {
+    const table = [columns.map((column) => api.getDisplayNameForColumn(column, null))];
+    grid.forEachNodeAfterFilterAndSort((rowNode) => {
+      table.push(
+        columns.map((column) => grid.getCellValue({ rowNode, colKey: column.getColId() })),
+      );
+    });
+    const data = toXlsx(table, {
+      sheetName: `Snapshot ${seq}`,
+      title: `Market snapshot ${seq}`,
+      created: new Date(timestamp),
+    });
+    return { data, rowCount: table.length - 1 };
+  });
+}
+
+// e.g. market-1234-2025-01-31T09-30-00-000Z.csv
+export function exportFileName({ seq, timestamp }, extension) {
+  const time = new Date(timestamp).toISOString().replace(/[:.]/g, "-");
+  return `market-${seq}-${time}.${extension}`;
+}
@@ -0,0 +1,70 @@
+// Rolling per-symbol history, sampled into fixed time buckets so a burst of
+// ticks doesn't push older points out: the last value in each bucket wins.
+export const HISTORY_CAPACITY = 300; // Points kept per symbol and field
+export const SAMPLE_INTERVAL = 1000; // 1s buckets, so ~5 minutes of history
+
+const sameBucket = (a, b) =>
+  Math.floor(a / SAMPLE_INTERVAL) === Math.floor(b / SAMPLE_INTERVAL);
+
+// Bounded ring buffer used by the hub
+export function createSeries(capacity = HISTORY_CAPACITY) {
+  return {
+    timestamps: new Float64Array(capacity),
+    values: new Float64Array(capacity),
+    start: 0,
+    length: 0,
+  };
+}
+
+export function appendSample(series, timestamp, value) {
+  const capacity = series.values.length;
+  let index;
+  if (
+    series.length > 0 &&
+    sameBucket(
+      series.timestamps[(series.start + series.length - 1) % capacity],
+      timestamp,
+    )
+  ) {
+    index = (series.start + series.length - 1) % capacity;
+  } else if (series.length < capacity) {
+    index = (series.start + series.length) % capacity;
+    series.length++;
+  } else {
+    index = series.start;
+    series.start = (series.start + 1) % capacity;
+  }
+  series.timestamps[index] = timestamp;
+  series.values[index] = value;
+}
+
+// Oldest-first plain arrays, as sent to tabs
+export function seriesToPoints(series) {
+  const capacity = series.values.length;
+  const timestamps = new Array(series.length);
+  const values = new Array(series.length);
+  for (let i = 0; i < series.length; i++) {
+    const index = (series.start + i) % capacity;
+    timestamps[i] = series.timestamps[index];
+    values[i] = series.values[index];
+  }
+  return { timestamps, values };
+}
+
+// Immutable append for tabs, so a changed series is a new object for React
+// and AG Grid change detection
+export function appendPoint(points, timestamp, value, capacity = HISTORY_CAPACITY) {
+  const { timestamps, values } = points ?? { timestamps: [], values: [] };
+  const last = timestamps.length - 1;
+  if (last >= 0 && sameBucket(timestamps[last], timestamp)) {
+    return {
+      timestamps: [...timestamps.slice(0, last), timestamp],
+      values: [...values.slice(0, last), value],
+    };
+  }
+  const drop = Math.max(0, timestamps.length + 1 - capacity);
+  return {
+    timestamps: [...timestamps.slice(drop), timestamp],
+    values: [...values.slice(drop), value],
+  };
+}
@@ -0,0 +1,58 @@
+// Minimal promise wrapper over the hub's IndexedDB database. Each object store
+// is keyed by "id". Where IndexedDB is unavailable (e.g. Node), stores fall
+// back to memory so callers don't need to care.
+const DB_NAME = "market-hub";
+const DB_VERSION = 4;
+const STORES = ["alerts", "workspaces", "columns", "snapshots"];
+
+let dbPromise = null;
+
+function openDatabase() {
+  dbPromise ??= new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      for (const name of STORES) {
+        if (!request.result.objectStoreNames.contains(name)) {
+          request.result.createObjectStore(name, { keyPath: "id" });
+        }
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+  return dbPromise;
+}
+
+function run(storeName, mode, operation) {
+  return openDatabase().then(
+    (db) =>
+      new Promise((resolve, reject) => {
+        const request = operation(
+          db.transaction(storeName, mode).objectStore(storeName),
+        );
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      }),
+  );
+}
+
+function createMemoryStore() {
+  const values = new Map();
+  return {
+    get: async (id) => values.get(id),
+    getAll: async () => Array.from(values.values()),
+    put: async (value) => void values.set(value.id, value),
+    delete: async (id) => void values.delete(id),
+  };
+}
+
+export function openStore(storeName) {
+  if (typeof indexedDB === "undefined") return createMemoryStore();
+
+  return {
+    get: (id) => run(storeName, "readonly", (store) => store.get(id)),
+    getAll: () => run(storeName, "readonly", (store) => store.getAll()),
+    put: (value) => run(storeName, "readwrite", (store) => store.put(value)),
+    delete: (id) => run(storeName, "readwrite", (store) => store.delete(id)),
+  };
+}
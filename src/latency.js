@@ -0,0 +1,34 @@
+// End-to-end latency samples (server timestamp to render) in a ring buffer,
+// summarised as a histogram with percentiles for the diagnostics panel
+
+// Upper bounds of the histogram buckets in ms; the last catches the rest
+export const LATENCY_BUCKETS = [5, 10, 20, 50, 100, 200, 500, 1000, Infinity];
+
+export function createLatencyBuffer(size = 2000) {
+  return { values: new Float64Array(size), next: 0, count: 0 };
+}
+
+export function recordLatency(buffer, latency) {
+  buffer.values[buffer.next] = latency;
+  buffer.next = (buffer.next + 1) % buffer.values.length;
+  buffer.count = Math.min(buffer.count + 1, buffer.values.length);
+}
+
+// { count, p50, p99, buckets: [{ le, count }] } over the buffered samples
+export function summarizeLatency(buffer) {
+  const sorted = buffer.values.slice(0, buffer.count).sort();
+  const percentile = (p) =>
+    sorted.length > 0
+      ? sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))]
+      : null;
+  const counts = LATENCY_BUCKETS.map(() => 0);
+  for (const latency of sorted) {
+    counts[LATENCY_BUCKETS.findIndex((le) => latency <= le)]++;
+  }
+  return {
+    count: sorted.length,
+    p50: percentile(0.5),
+    p99: percentile(0.99),
+    buckets: LATENCY_BUCKETS.map((le, i) => ({ le, count: counts[i] })),
+  };
+}
@@ -0,0 +1,2077 @@
+// Market data hub: pools WebSocket connections and fans batches out to ports
+//
+// Runs inside the shared worker (market-worker.js), or in the elected leader
+// tab when SharedWorker is unavailable (market-transport.js). Each distinct
+// endpoint gets its own pooled connection ("feed"); ports pick a feed with an
+// init message, or connectPort() can attach them to a default one. All state
+// lives in the hub createHub() returns.
+import {
+  BINARY_PROTOCOL,
+  JSON_PROTOCOL,
+  createDictionary,
+  decodeUpdate,
+  dictionaryFromRows,
+  encodeUpdate,
+  serializeDictionary,
+} from "./wire-format.js";
+import { describeRule, ruleFires, validateRule } from "./alerts.js";
+import { isLinkGroup, validateWorkspace } from "./workspaces.js";
+import { compileExpression, validateColumn } from "./expressions.js";
+import { openStore } from "./idb-store.js";
+import { appendSample, createSeries, seriesToPoints } from "./history.js";
+
+const BATCH_HISTORY_LIMIT = 300; // ~5s of batches at 60fps
+const BAR_HISTORY_LIMIT = 500; // Completed bars kept per symbol and interval
+const TRADE_BUFFER_LIMIT = 1000; // Recent trade prints kept per feed
+
+// Reconnect with exponential backoff and jitter; init can override these
+const RECONNECT_DEFAULTS = {
+  baseDelay: 500, // First retry after 250-500ms
+  maxDelay: 30000, // Cap on the backoff before jitter
+  maxAttempts: 10, // Then give up as "failed" until a tab asks to retry
+};
+const STALE_AFTER = 5000; // Open socket with no data for this long is stale
+const STALE_CHECK_INTERVAL = 1000;
+
+// Close codes the server uses for a missing, unknown or expired token
+// (UNAUTHORIZED, TOKEN_EXPIRED); reconnecting with the same token won't help
+const AUTH_CLOSE_CODES = new Set([4001, 4002]);
+
+// Control messages passed through to the server, which validates them and
+// broadcasts the outcome (settings, or playback state when replaying)
+const FORWARDED_TYPES = new Set([
+  "setFrequency",
+  "setBatchSize",
+  "pause",
+  "resume",
+  "seek",
+  "setSpeed",
+]);
+
+// Server state messages that late-joining ports need too
+const RETAINED_TYPES = new Set(["schema", "playback", "session"]);
+
+// Batching mechanism to prevent overloading the grid
+const BATCH_INTERVAL = 1000 / 60; // ~16.67ms for 60fps
+
+// Per-port cadence: a tab that reports slow frames gets batches less often,
+// conflated to the latest value per symbol, so it spends at most about half
+// its time applying them. Hidden tabs get nothing until they are visible.
+const SLOW_PORT_FACTOR = 2;
+const MAX_PORT_INTERVAL = 1000;
+
+// Saved snapshots (see snapshotStore) are written at most this often per feed
+const SNAPSHOT_SAVE_INTERVAL = 5000;
+
+// Feeds are pooled per endpoint and credential, so tabs signed in as
+// different users never share a connection or its data
+function feedKey(endpoint, token) {
+  return JSON.stringify([endpoint, token ?? null]);
+}
+
+// The real clock; tests pass a fake one to control time
+const systemClock = {
+  now: () => Date.now(),
+  setTimeout: (callback, delay) => setTimeout(callback, delay),
+  clearTimeout: (timer) => clearTimeout(timer),
+  setInterval: (callback, delay) => setInterval(callback, delay),
+  clearInterval: (timer) => clearInterval(timer),
+};
+
+// Create a hub with its own ports, feeds and stores. WebSocket, clock and
+// logger default to the globals, so the worker just calls createHub(); tests
+// inject their own to run it in Node.
+export function createHub({
+  WebSocket = globalThis.WebSocket,
+  clock = systemClock,
+  logger = console, // Anything with log, warn and error
+} = {}) {
+  let ports = new Map(); // Map of port -> { id, lastPong, feed, subscription, bars, depth, trades, linkGroup, lastSeq, binary, ...cadence }
+  let feeds = new Map(); // Map of feedKey(endpoint, token) -> feed
+  let nextPortId = 1;
+  let heartbeatInterval = null;
+  let diagnosticsInterval = null;
+
+  // Alert rules are evaluated here, once per tick, whatever the number of tabs.
+  // Each rule belongs to the feed (endpoint) of the port that added it.
+  const alertStore = openStore("alerts");
+  let alertRules = [];
+  const ruleOwners = new Map(); // Map of rule id -> port that added it, while connected
+  const alertsLoaded = alertStore
+    .getAll()
+    .then((rules) => {
+      alertRules = rules;
+    })
+    .catch((error) => {
+      logger.error("[Worker] Failed to load alert rules:", error);
+    });
+
+  // Computed columns are also evaluated here, so every tab shows the same
+  // values. Like alert rules, each column belongs to a feed.
+  const columnStore = openStore("columns");
+  let computedColumns = []; // In the order they were added
+  const columnsLoaded = columnStore
+    .getAll()
+    .then((saved) => {
+      computedColumns = saved.sort((a, b) => a.createdAt - b.createdAt);
+      for (const feed of feeds.values()) refreshColumns(feed);
+    })
+    .catch((error) => {
+      logger.error("[Worker] Failed to load computed columns:", error);
+    });
+
+  // Workspaces and link groups are shared by every tab, whatever its feed
+  const workspaceStore = openStore("workspaces");
+  const workspaces = new Map(); // Map of name -> workspace
+  const workspacesLoaded = workspaceStore
+    .getAll()
+    .then((saved) => {
+      saved.forEach((workspace) => workspaces.set(workspace.name, workspace));
+    })
+    .catch((error) => {
+      logger.error("[Worker] Failed to load workspaces:", error);
+    });
+  const linkSelections = new Map(); // Map of link group -> last selected symbols
+
+  // Each feed's latest rows and schema are saved now and then, so tabs opened
+  // while the server is unreachable (or the worker just started) show the
+  // last-known data, marked stale, until the live snapshot replaces it
+  const snapshotStore = openStore("snapshots");
+
+  function createFeed(
+    endpoint,
+    { protocols, token, reconnect, staleAfter = STALE_AFTER } = {},
+  ) {
+    return {
+      key: feedKey(endpoint, token),
+      endpoint,
+      protocols,
+      token,
+      user: null, // Who the server says the token belongs to
+      authError: null, // Set when the server rejects the token; no retries then
+      reconnect: { ...RECONNECT_DEFAULTS, ...reconnect },
+      staleAfter,
+      ws: null,
+      ports: new Set(),
+      // Connection state machine: connecting -> open <-> stale, and on close
+      // reconnecting (with backoff) until open again or failed
+      state: "connecting",
+      attempt: 0, // Consecutive failed connection attempts
+      nextRetryAt: null,
+      lastMessageAt: null,
+      staleTimer: null,
+      reconnectTimeout: null,
+      rows: new Map(), // Authoritative row store: symbol -> merged row
+      rowsTimestamp: null, // Time of the newest tick folded into rows
+      hasSnapshot: false, // Whether the server has sent its initial data yet
+      cachedAt: null, // When the saved rows we're serving stale were saved
+      snapshotId: null, // Promise of the feed's key in the snapshot store
+      snapshotSaveTimer: null,
+      seq: 0, // Sequence number of the last snapshot or batch sent to ports
+      batchHistory: [], // Recent batches sent to ports, oldest first
+      // Server stream position, used to detect gaps and resume after reconnecting
+      serverEpoch: null,
+      serverSeq: 0,
+      awaitingResync: false,
+      upstreamInterest: null, // Last subscription sent to the server, as JSON
+      // Whether the server has yet to answer that subscription with a snapshot,
+      // which every port gets, so ports needn't be sent one meanwhile
+      upstreamPending: false,
+      lastSettings: null, // Feed settings last confirmed by the server
+      // Latest "schema" (field metadata), "playback" (replays) and "session"
+      // (market hours and halts) messages, passed on to ports that attach later
+      retained: new Map(),
+      dictionary: null, // Server's field-index dictionary, for binary frames
+      portDictionary: null, // Dictionary for binary batches sent to ports
+      pendingUpdates: new Map(), // Map of symbol -> merged delta
+      pendingTimestamp: null, // Server time of the newest pending tick
+      batchTimer: null,
+      // Counters behind getDiagnostics; rates are sampled once a second.
+      // messagesIn counts every server message, updatesIn just row updates.
+      stats: { messagesIn: 0, updatesIn: 0, rowsIn: 0, batchesOut: 0, rowsOut: 0 },
+      sampled: null,
+      rates: null,
+      reconnects: 0,
+      // Rolling history: field -> symbol -> ring buffer. Price is always kept;
+      // tabs can ask for other fields, which are tracked from then on.
+      historyFields: new Set(["price"]),
+      history: new Map([["price", new Map()]]),
+      // OHLC bar subscriptions shared by the feed's ports: "symbol:interval" ->
+      // { symbol, interval, ports, bars, current, loaded, changed }
+      bars: new Map(),
+      // Order books of symbols some port watches: symbol ->
+      // { ports, bids, asks, seq, loaded }, sides as Maps of price -> size
+      books: new Map(),
+      // Recent trade prints, oldest first, and those not yet sent to ports
+      trades: [],
+      pendingTrades: [],
+      // Computed columns: { column, compiled, states } with states a Map of
+      // symbol -> window state
+      columns: [],
+    };
+  }
+
+  function flushBatch(feed) {
+    feed.batchTimer = null;
+    flushBars(feed);
+    flushTrades(feed);
+    if (feed.pendingUpdates.size === 0) return;
+
+    const batchedData = Array.from(feed.pendingUpdates.values());
+
+    // Fold deltas into the row store so snapshots stay current
+    for (const delta of batchedData) {
+      const row = feed.rows.get(delta.symbol);
+      feed.rows.set(delta.symbol, row ? { ...row, ...delta } : delta);
+    }
+
+    scheduleSnapshotSave(feed);
+
+    // Stamped with the server time of the newest tick in it, so tabs can
+    // measure end-to-end latency
+    const message = {
+      type: "update",
+      data: batchedData,
+      timestamp: feed.pendingTimestamp ?? clock.now(),
+      seq: ++feed.seq,
+    };
+    feed.pendingTimestamp = null;
+    feed.rowsTimestamp = message.timestamp;
+    feed.stats.batchesOut++;
+    feed.stats.rowsOut += batchedData.length;
+    feed.batchHistory.push(message);
+    if (feed.batchHistory.length > BATCH_HISTORY_LIMIT) {
+      feed.batchHistory.shift();
+    }
+
+    // Each port only gets the rows it subscribed to. Ports with nothing in this
+    // batch are skipped, so prevSeq tells the tab which batch came before.
+    for (const port of feed.ports) {
+      const portInfo = ports.get(port);
+      const data = filterRows(batchedData, portInfo.subscription);
+      if (data.length === 0) continue;
+      if (
+        portInfo.visible &&
+        portInfo.flushInterval <= BATCH_INTERVAL &&
+        portInfo.pending.size === 0
+      ) {
+        postUpdate(port, { ...message, data, prevSeq: portInfo.lastSeq });
+        portInfo.lastSeq = feed.seq;
+      } else {
+        conflate(port, data, feed.seq, message.timestamp);
+      }
+    }
+
+    feed.pendingUpdates.clear();
+  }
+
+  // Hold a slow or hidden port's rows until its next flush, keeping only the
+  // latest value of each field. The flushed batch carries the seq of the last
+  // batch folded in, so the tab's prevSeq check still holds.
+  function conflate(port, data, seq, timestamp) {
+    const portInfo = ports.get(port);
+    for (const row of data) {
+      const pending = portInfo.pending.get(row.symbol);
+      portInfo.pending.set(row.symbol, pending ? { ...pending, ...row } : row);
+    }
+    portInfo.pendingSeq = seq;
+    portInfo.pendingTimestamp = timestamp;
+    schedulePortFlush(port);
+  }
+
+  function schedulePortFlush(port) {
+    const portInfo = ports.get(port);
+    if (!portInfo.visible || portInfo.flushTimer !== null) return;
+    portInfo.flushTimer = clock.setTimeout(
+      () => flushPort(port),
+      portInfo.flushInterval,
+    );
+  }
+
+  function flushPort(port) {
+    const portInfo = ports.get(port);
+    if (!portInfo) return;
+    portInfo.flushTimer = null;
+    if (portInfo.pending.size === 0) return;
+    postUpdate(port, {
+      type: "update",
+      data: Array.from(portInfo.pending.values()),
+      timestamp: portInfo.pendingTimestamp,
+      seq: portInfo.pendingSeq,
+      prevSeq: portInfo.lastSeq,
+    });
+    portInfo.lastSeq = portInfo.pendingSeq;
+    portInfo.pending.clear();
+  }
+
+  // Drop held rows once a snapshot or replay has covered them
+  function clearPending(portInfo) {
+    clock.clearTimeout(portInfo.flushTimer);
+    portInfo.flushTimer = null;
+    portInfo.pending.clear();
+  }
+
+  // A tab reported whether it is visible and how long its last frames took
+  function setCapacity(port, { visible, frameTime = 0 }) {
+    const portInfo = ports.get(port);
+    const wasVisible = portInfo.visible;
+    portInfo.visible = visible;
+    portInfo.flushInterval = Math.min(
+      MAX_PORT_INTERVAL,
+      Math.max(BATCH_INTERVAL, frameTime * SLOW_PORT_FACTOR),
+    );
+
+    if (!visible) {
+      clock.clearTimeout(portInfo.flushTimer);
+      portInfo.flushTimer = null;
+    } else if (!wasVisible) {
+      // One catch-up batch with everything held while hidden
+      flushPort(port);
+    } else if (portInfo.pending.size > 0) {
+      schedulePortFlush(port);
+    }
+  }
+
+  // Ports that asked for binary batches get a transferred ArrayBuffer instead
+  // of a structured-clone copy of the rows
+  function postUpdate(port, message) {
+    const { binary, feed, stats } = ports.get(port);
+    stats.messages++;
+    stats.rows += message.data.length;
+    const buffer = binary && encodeUpdate(message, feed.portDictionary);
+    if (buffer) {
+      port.postMessage(buffer, [buffer]);
+    } else {
+      port.postMessage(message);
+    }
+  }
+
+  // Reduce rows to a port's subscription (a Map of symbol -> Set of fields, or
+  // null fields for all of them). Ports that never subscribed get everything.
+  function filterRows(data, subscription) {
+    if (!subscription) return data;
+    const filtered = [];
+    for (const row of data) {
+      if (!subscription.has(row.symbol)) continue;
+      const fields = subscription.get(row.symbol);
+      if (!fields) {
+        filtered.push(row);
+        continue;
+      }
+      const picked = { symbol: row.symbol };
+      let hasFields = false;
+      for (const field of fields) {
+        if (field in row) {
+          picked[field] = row[field];
+          hasFields = true;
+        }
+      }
+      if (hasFields) filtered.push(picked);
+    }
+    return filtered;
+  }
+
+  // Snapshot of the row store as of the last batch; tabs apply only later deltas
+  function sendSnapshot(port) {
+    const portInfo = ports.get(port);
+    const { feed } = portInfo;
+    portInfo.lastSeq = feed.seq;
+    clearPending(portInfo);
+    port.postMessage({
+      type: "initial",
+      data: filterRows(Array.from(feed.rows.values()), portInfo.subscription),
+      seq: feed.seq,
+      ...(feed.cachedAt !== null && { cachedAt: feed.cachedAt }),
+      ...(portInfo.binary && {
+        dictionary: serializeDictionary(feed.portDictionary),
+      }),
+    });
+  }
+
+  // Saved snapshots are keyed by endpoint and a digest of the token, so the
+  // token itself never lands on disk
+  function snapshotId(feed) {
+    feed.snapshotId ??= (async () => {
+      if (!feed.token) return feedKey(feed.endpoint, null);
+      const digest = await crypto.subtle.digest(
+        "SHA-256",
+        new TextEncoder().encode(feed.token),
+      );
+      const hex = Array.from(new Uint8Array(digest), (byte) =>
+        byte.toString(16).padStart(2, "0"),
+      ).join("");
+      return feedKey(feed.endpoint, hex);
+    })();
+    return feed.snapshotId;
+  }
+
+  function scheduleSnapshotSave(feed) {
+    if (feed.snapshotSaveTimer !== null) return;
+    feed.snapshotSaveTimer = clock.setTimeout(
+      () => saveSnapshot(feed),
+      SNAPSHOT_SAVE_INTERVAL,
+    );
+  }
+
+  function saveSnapshot(feed) {
+    clock.clearTimeout(feed.snapshotSaveTimer);
+    feed.snapshotSaveTimer = null;
+    if (!feed.hasSnapshot) return;
+    const snapshot = {
+      endpoint: feed.endpoint,
+      rows: Array.from(feed.rows.values()),
+      schema: feed.retained.get("schema") ?? null,
+      savedAt: clock.now(),
+    };
+    snapshotId(feed)
+      .then((id) => snapshotStore.put({ id, ...snapshot }))
+      .catch((error) => {
+        logger.error("[Worker] Failed to save snapshot:", error);
+      });
+  }
+
+  // Serve a new feed's saved snapshot until the server sends a live one
+  async function loadSnapshot(feed) {
+    let saved;
+    try {
+      saved = await snapshotStore.get(await snapshotId(feed));
+    } catch (error) {
+      logger.error("[Worker] Failed to load saved snapshot:", error);
+      return;
+    }
+    // The live snapshot (or a rejected token) may have beaten us to it
+    if (!saved || feed.hasSnapshot || feed.authError || feeds.get(feed.key) !== feed) {
+      return;
+    }
+    logger.log(
+      `[Worker] Serving ${saved.rows.length} saved rows for ${feed.endpoint} from ${new Date(saved.savedAt).toISOString()}`,
+    );
+    feed.rows = new Map(saved.rows.map((row) => [row.symbol, row]));
+    feed.rowsTimestamp = saved.savedAt;
+    feed.cachedAt = saved.savedAt;
+    feed.portDictionary = portDictionary(feed);
+    if (saved.schema && !feed.retained.has("schema")) {
+      feed.retained.set("schema", saved.schema);
+      broadcast(feed, saved.schema);
+    }
+    for (const port of feed.ports) {
+      sendSnapshot(port);
+    }
+  }
+
+  // A frozen copy of the port's rows as of the last batch, for exports. seq
+  // and timestamp say exactly which point in the stream it is.
+  function sendExportSnapshot(port, request) {
+    const portInfo = ports.get(port);
+    const { feed } = portInfo;
+    if (!feed.hasSnapshot && feed.cachedAt === null) {
+      port.postMessage({
+        type: "error",
+        code: "NO_DATA",
+        message: "No rows to export yet",
+        request,
+      });
+      return;
+    }
+    port.postMessage({
+      type: "snapshot",
+      data: filterRows(Array.from(feed.rows.values()), portInfo.subscription),
+      seq: feed.seq,
+      timestamp: feed.rowsTimestamp,
+      ...(feed.cachedAt !== null && { cachedAt: feed.cachedAt }),
+    });
+  }
+
+  // Bring a port up to date from fromSeq, replaying recent batches if possible
+  function resyncPort(port, fromSeq) {
+    const portInfo = ports.get(port);
+    const { feed } = portInfo;
+    if (!feed.hasSnapshot) return; // The port gets the snapshot once it arrives
+
+    const { batchHistory, seq } = feed;
+    const oldest = batchHistory.length > 0 ? batchHistory[0].seq : seq + 1;
+    if (Number.isInteger(fromSeq) && fromSeq <= seq && fromSeq + 1 >= oldest) {
+      const updates = [];
+      for (const message of batchHistory.slice(fromSeq + 1 - oldest)) {
+        const data = filterRows(message.data, portInfo.subscription);
+        if (data.length > 0) updates.push({ ...message, data });
+      }
+      portInfo.lastSeq = seq;
+      clearPending(portInfo);
+      port.postMessage({ type: "replay", updates, seq });
+    } else {
+      sendSnapshot(port);
+    }
+  }
+
+  // Union of every port's interest in a feed, as sent upstream. Any port
+  // without a subscription needs the whole feed.
+  function computeInterest(feed) {
+    const symbols = new Set();
+    const fields = new Set();
+    let allSymbols = false;
+    let allFields = false;
+
+    for (const port of feed.ports) {
+      const { subscription } = ports.get(port);
+      if (!subscription) return { symbols: null, fields: null };
+      for (const [symbol, symbolFields] of subscription) {
+        symbols.add(symbol);
+        if (symbolFields) {
+          symbolFields.forEach((field) => fields.add(field));
+        } else {
+          allFields = true;
+        }
+      }
+    }
+
+    // History, alert rules and computed columns need their fields even when
+    // no tab shows them
+    feed.historyFields.forEach((field) => fields.add(field));
+    feed.columns.forEach(({ compiled }) =>
+      compiled.fields.forEach((field) => fields.add(field)),
+    );
+
+    for (const rule of feedAlertRules(feed)) {
+      if (rule.symbol) {
+        symbols.add(rule.symbol);
+      } else {
+        allSymbols = true;
+      }
+      fields.add(rule.field);
+    }
+
+    return {
+      symbols: allSymbols ? null : Array.from(symbols).sort(),
+      fields: allFields ? null : Array.from(fields).sort(),
+    };
+  }
+
+  // Tell the server what some port needs, if that changed since last time
+  function updateUpstreamSubscription(feed) {
+    const { ws } = feed;
+    if (!ws || ws.readyState !== WebSocket.OPEN || feed.ports.size === 0) return;
+
+    const interest = computeInterest(feed);
+    const key = JSON.stringify(interest);
+    if (key === feed.upstreamInterest) return;
+
+    feed.upstreamInterest = key;
+    feed.upstreamPending = true;
+    logger.log(
+      `[Worker] Subscribing upstream to ${interest.symbols?.length ?? "all"} symbols on ${feed.endpoint}`,
+    );
+    ws.send(JSON.stringify({ type: "subscribe", ...interest }));
+  }
+
+  function scheduleBatch(feed) {
+    if (feed.batchTimer !== null) return; // Already scheduled
+    feed.batchTimer = clock.setTimeout(() => flushBatch(feed), BATCH_INTERVAL);
+  }
+
+  function applyServerUpdate(feed, message) {
+    feed.serverSeq = message.seq;
+    feed.stats.updatesIn++;
+    feed.stats.rowsIn += message.data.length;
+    if (message.timestamp > (feed.pendingTimestamp ?? 0)) {
+      feed.pendingTimestamp = message.timestamp;
+    }
+
+    // Batch updates instead of broadcasting immediately, merging deltas
+    // for the same symbol so no changed field is dropped
+    message.data.forEach((row) => {
+      computeColumns(feed, row);
+      evaluateAlerts(feed, row);
+      recordHistory(feed, row, message.timestamp);
+      const pending = feed.pendingUpdates.get(row.symbol);
+      feed.pendingUpdates.set(
+        row.symbol,
+        pending ? { ...pending, ...row } : row,
+      );
+    });
+    scheduleBatch(feed);
+  }
+
+  function recordHistory(feed, row, timestamp) {
+    for (const [field, bySymbol] of feed.history) {
+      const value = row[field];
+      if (typeof value !== "number") continue;
+      let series = bySymbol.get(row.symbol);
+      if (!series) {
+        series = createSeries();
+        bySymbol.set(row.symbol, series);
+      }
+      appendSample(series, timestamp, value);
+    }
+  }
+
+  // Reply with the history of one field for the given symbols (default: all
+  // the port can see). Asking for a new field starts tracking it.
+  function sendHistory(port, { symbols, field = "price" }) {
+    const portInfo = ports.get(port);
+    const { feed } = portInfo;
+    if (!feed.history.has(field)) {
+      logger.log(`[Worker] Tracking history for ${field}`);
+      feed.historyFields.add(field);
+      feed.history.set(field, new Map());
+      updateUpstreamSubscription(feed);
+    }
+
+    const bySymbol = feed.history.get(field);
+    const wanted =
+      symbols ??
+      (portInfo.subscription
+        ? Array.from(portInfo.subscription.keys())
+        : Array.from(bySymbol.keys()));
+    const series = {};
+    for (const symbol of wanted) {
+      const symbolSeries = bySymbol.get(symbol);
+      if (symbolSeries) series[symbol] = seriesToPoints(symbolSeries);
+    }
+    port.postMessage({ type: "history", field, series });
+  }
+
+  function barKey(symbol, interval) {
+    return `${symbol}:${interval}`;
+  }
+
+  function sendBarsUpstream(feed, type, { symbol, interval }) {
+    if (feed.ws?.readyState === WebSocket.OPEN) {
+      feed.ws.send(JSON.stringify({ type, symbol, interval }));
+    }
+  }
+
+  // Ports share one upstream bars subscription per symbol and interval. A port
+  // joining one that is already loaded gets the bars straight from the hub.
+  function subscribeBars(port, symbol, interval) {
+    const portInfo = ports.get(port);
+    const { feed } = portInfo;
+    const key = barKey(symbol, interval);
+    let entry = feed.bars.get(key);
+    if (!entry) {
+      entry = {
+        symbol,
+        interval,
+        ports: new Set(),
+        bars: [],
+        current: null,
+        loaded: false,
+        changed: false,
+        completed: [], // Bars closed since the last flush, in their final state
+      };
+      feed.bars.set(key, entry);
+      sendBarsUpstream(feed, "subscribeBars", entry);
+    } else if (entry.loaded) {
+      port.postMessage(barsMessage(entry));
+    }
+    entry.ports.add(port);
+    portInfo.bars.add(key);
+  }
+
+  function unsubscribeBars(port, key) {
+    const portInfo = ports.get(port);
+    const entry = portInfo.feed.bars.get(key);
+    portInfo.bars.delete(key);
+    if (!entry) return;
+    entry.ports.delete(port);
+    if (entry.ports.size === 0) {
+      portInfo.feed.bars.delete(key);
+      sendBarsUpstream(portInfo.feed, "unsubscribeBars", entry);
+    }
+  }
+
+  function barsMessage({ symbol, interval, bars, current }) {
+    return { type: "bars", symbol, interval, bars, current };
+  }
+
+  // Server's completed bars for a subscription (on subscribe or reconnect)
+  function applyServerBars(feed, message) {
+    const entry = feed.bars.get(barKey(message.symbol, message.interval));
+    if (!entry) return; // Unsubscribed since
+    entry.bars = message.bars;
+    entry.current = message.current;
+    entry.loaded = true;
+    entry.changed = false;
+    entry.completed = [];
+    const reply = barsMessage(entry);
+    entry.ports.forEach((port) => port.postMessage(reply));
+  }
+
+  // Ports share one upstream depth subscription per symbol; the hub applies
+  // the level changes to its copy of the book, which late joiners start from
+  function subscribeDepth(port, symbol) {
+    const portInfo = ports.get(port);
+    const { feed } = portInfo;
+    let book = feed.books.get(symbol);
+    if (!book) {
+      book = {
+        ports: new Set(),
+        bids: new Map(),
+        asks: new Map(),
+        seq: 0,
+        loaded: false,
+      };
+      feed.books.set(symbol, book);
+      sendDepthUpstream(feed, "subscribeDepth", symbol);
+    } else if (book.loaded) {
+      // Also how a port that saw a gap gets back in step
+      port.postMessage(depthMessage(symbol, book));
+    }
+    book.ports.add(port);
+    portInfo.depth.add(symbol);
+  }
+
+  function unsubscribeDepth(port, symbol) {
+    const portInfo = ports.get(port);
+    const book = portInfo.feed.books.get(symbol);
+    portInfo.depth.delete(symbol);
+    if (!book) return;
+    book.ports.delete(port);
+    if (book.ports.size === 0) {
+      portInfo.feed.books.delete(symbol);
+      sendDepthUpstream(portInfo.feed, "unsubscribeDepth", symbol);
+    }
+  }
+
+  function sendDepthUpstream(feed, type, symbol) {
+    if (feed.ws?.readyState === WebSocket.OPEN) {
+      feed.ws.send(JSON.stringify({ type, symbol }));
+    }
+  }
+
+  // Best levels first: bids descending, asks ascending
+  function depthMessage(symbol, { bids, asks, seq }) {
+    return {
+      type: "depth",
+      symbol,
+      seq,
+      bids: Array.from(bids).sort((a, b) => b[0] - a[0]),
+      asks: Array.from(asks).sort((a, b) => a[0] - b[0]),
+    };
+  }
+
+  function applyServerDepth(feed, message) {
+    const book = feed.books.get(message.symbol);
+    if (!book) return; // Unsubscribed since
+    book.bids = new Map(message.bids);
+    book.asks = new Map(message.asks);
+    book.seq = message.seq;
+    book.loaded = true;
+    const snapshot = depthMessage(message.symbol, book);
+    book.ports.forEach((port) => port.postMessage(snapshot));
+  }
+
+  function applyServerDepthUpdate(feed, message) {
+    const book = feed.books.get(message.symbol);
+    if (!book?.loaded) return;
+    if (message.seq !== book.seq + 1) {
+      // Missed a change; a fresh snapshot replaces the book
+      logger.log(`[Worker] Depth gap on ${message.symbol}, resubscribing`);
+      book.loaded = false;
+      sendDepthUpstream(feed, "subscribeDepth", message.symbol);
+      return;
+    }
+    for (const { side, action, price, size } of message.changes) {
+      const levels = side === "bid" ? book.bids : book.asks;
+      if (action === "delete") {
+        levels.delete(price);
+      } else {
+        levels.set(price, size);
+      }
+    }
+    book.seq = message.seq;
+    book.ports.forEach((port) => port.postMessage(message));
+  }
+
+  // The server refused a subscription; only the ports that asked hear about it
+  function rejectSubscription(feed, error) {
+    if (error.request.type === "subscribeDepth") {
+      const book = feed.books.get(error.request.symbol);
+      if (!book) return;
+      feed.books.delete(error.request.symbol);
+      for (const port of book.ports) {
+        ports.get(port)?.depth.delete(error.request.symbol);
+        port.postMessage(error);
+      }
+    } else {
+      rejectBars(feed, error);
+    }
+  }
+
+  // The server refused a bars subscription; only its ports hear about it
+  function rejectBars(feed, error) {
+    const key = barKey(error.request.symbol, error.request.interval);
+    const entry = feed.bars.get(key);
+    if (!entry) return;
+    feed.bars.delete(key);
+    for (const port of entry.ports) {
+      ports.get(port)?.bars.delete(key);
+      port.postMessage(error);
+    }
+  }
+
+  // A live update to the current bar; a later bar time completes the previous
+  function applyServerBar(feed, message) {
+    const entry = feed.bars.get(barKey(message.symbol, message.interval));
+    if (!entry?.loaded) return;
+    if (entry.current && message.bar.time > entry.current.time) {
+      entry.bars.push(entry.current);
+      if (entry.bars.length > BAR_HISTORY_LIMIT) {
+        entry.bars.shift();
+      }
+      // Its last change hasn't gone out yet; send it before the new bar
+      if (entry.changed) entry.completed.push(entry.current);
+    }
+    entry.current = message.bar;
+    entry.changed = true;
+    scheduleBatch(feed);
+  }
+
+  // Bar updates go out with the batches, so a fast feed sends each tab at most
+  // one per frame for the current bar, after the final state of any bar that
+  // closed in between
+  function flushBars(feed) {
+    for (const entry of feed.bars.values()) {
+      if (!entry.changed) continue;
+      entry.changed = false;
+      const { symbol, interval, current } = entry;
+      const updates = [...entry.completed, current];
+      entry.completed = [];
+      for (const bar of updates) {
+        entry.ports.forEach((port) =>
+          port.postMessage({ type: "bar", symbol, interval, bar }),
+        );
+      }
+    }
+  }
+
+  // Trade prints from the server: kept for late joiners and sent on to
+  // subscribed ports with the next batch
+  function applyServerTrades(feed, message) {
+    feed.trades.push(...message.trades);
+    if (feed.trades.length > TRADE_BUFFER_LIMIT) {
+      feed.trades.splice(0, feed.trades.length - TRADE_BUFFER_LIMIT);
+    }
+    feed.pendingTrades.push(...message.trades);
+    scheduleBatch(feed);
+  }
+
+  function portTrades(portInfo, trades) {
+    const { subscription } = portInfo;
+    return subscription
+      ? trades.filter((trade) => subscription.has(trade.symbol))
+      : trades;
+  }
+
+  function flushTrades(feed) {
+    if (feed.pendingTrades.length === 0) return;
+    for (const port of feed.ports) {
+      const portInfo = ports.get(port);
+      if (!portInfo.trades) continue;
+      const trades = portTrades(portInfo, feed.pendingTrades);
+      if (trades.length > 0) port.postMessage({ type: "trades", trades });
+    }
+    feed.pendingTrades = [];
+  }
+
+  // A subscribing port starts from the buffered prints, then gets new ones
+  function subscribeTrades(port) {
+    const portInfo = ports.get(port);
+    portInfo.trades = true;
+    port.postMessage({
+      type: "trades",
+      trades: portTrades(portInfo, portInfo.feed.trades),
+      snapshot: true,
+    });
+  }
+
+  // Alert rules and computed columns belong to an endpoint and the user the
+  // server identified, so users sharing a browser don't see each other's
+  function belongsTo(record, feed) {
+    return record.endpoint === feed.endpoint && (record.user ?? null) === feed.user;
+  }
+
+  function feedAlertRules(feed) {
+    return alertRules.filter((rule) => belongsTo(rule, feed));
+  }
+
+  // Latest known value of a field, including deltas not yet flushed
+  function currentValue(feed, symbol, field) {
+    return (
+      feed.pendingUpdates.get(symbol)?.[field] ?? feed.rows.get(symbol)?.[field]
+    );
+  }
+
+  function evaluateAlerts(feed, delta) {
+    for (const rule of alertRules) {
+      if (!belongsTo(rule, feed) || !(rule.field in delta)) continue;
+      if (rule.symbol && rule.symbol !== delta.symbol) continue;
+
+      const previous = currentValue(feed, delta.symbol, rule.field);
+      if (previous === undefined) continue; // No baseline to compare against
+      const value = delta[rule.field];
+      if (ruleFires(rule, previous, value)) {
+        fireAlert(feed, rule, delta.symbol, previous, value);
+      }
+    }
+  }
+
+  // Deliver a fired alert to the feed's tabs that show its symbol (all of
+  // them unless they subscribed to a list) and to the tab that added the
+  // rule. If none of them is left, every tab on the feed gets it rather than
+  // none. Only one is asked to raise a system notification, so the user sees
+  // it once.
+  function fireAlert(feed, rule, symbol, previous, value) {
+    const alert = {
+      id: crypto.randomUUID(),
+      ruleId: rule.id,
+      symbol,
+      field: rule.field,
+      op: rule.op,
+      threshold: rule.value,
+      previous,
+      value,
+      message: `${describeRule({ ...rule, symbol })} (now ${value.toFixed(2)})`,
+      timestamp: clock.now(),
+    };
+    logger.log(`[Worker] Alert: ${alert.message}`);
+
+    const owner = ruleOwners.get(rule.id);
+    let recipients = Array.from(feed.ports).filter((port) => {
+      const { subscription } = ports.get(port);
+      return port === owner || !subscription || subscription.has(symbol);
+    });
+    if (recipients.length === 0) recipients = Array.from(feed.ports);
+
+    let notify = Boolean(rule.notify);
+    for (const port of recipients) {
+      port.postMessage({ type: "alert", alert, notify });
+      notify = false;
+    }
+  }
+
+  function sendAlertRules(feed, port) {
+    const message = { type: "alerts", alerts: feedAlertRules(feed) };
+    if (port) {
+      port.postMessage(message);
+    } else {
+      broadcast(feed, message);
+    }
+  }
+
+  async function addAlertRule(feed, port, rule) {
+    const error = validateRule(rule);
+    if (error) {
+      port.postMessage({
+        type: "error",
+        code: "INVALID_ALERT",
+        message: error,
+        request: { type: "addAlert", rule },
+      });
+      return;
+    }
+
+    await alertsLoaded;
+    const saved = {
+      id: crypto.randomUUID(),
+      endpoint: feed.endpoint,
+      user: feed.user,
+      symbol: rule.symbol || null,
+      field: rule.field,
+      op: rule.op,
+      value: rule.value,
+      notify: Boolean(rule.notify),
+      createdAt: clock.now(),
+    };
+    alertRules.push(saved);
+    ruleOwners.set(saved.id, port);
+    alertStore.put(saved).catch((e) => {
+      logger.error("[Worker] Failed to save alert rule:", e);
+    });
+    logger.log(`[Worker] Alert added: ${describeRule(saved)}`);
+
+    sendAlertRules(feed);
+    updateUpstreamSubscription(feed);
+
+    // A level rule that already holds fires straight away
+    for (const [symbol, row] of feed.rows) {
+      if (saved.symbol && saved.symbol !== symbol) continue;
+      const value = currentValue(feed, symbol, saved.field) ?? row[saved.field];
+      if (ruleFires(saved, undefined, value)) {
+        fireAlert(feed, saved, symbol, undefined, value);
+      }
+    }
+  }
+
+  async function removeAlertRule(feed, id) {
+    await alertsLoaded;
+    alertRules = alertRules.filter(
+      (rule) => rule.id !== id || !belongsTo(rule, feed),
+    );
+    ruleOwners.delete(id);
+    alertStore.delete(id).catch((e) => {
+      logger.error("[Worker] Failed to delete alert rule:", e);
+    });
+    sendAlertRules(feed);
+    updateUpstreamSubscription(feed);
+  }
+
+  // Evaluate the computed columns that read a field in delta, adding the
+  // values that changed to delta so ports, alerts and history see them as
+  // fields like any other. base is the row before delta (by default the row
+  // store plus pending deltas).
+  function computeColumns(feed, delta, base, columns = feed.columns) {
+    let row = null;
+    for (const { column, compiled, states } of columns) {
+      if (!compiled.fields.some((field) => field in delta)) continue;
+      row ??= {
+        ...(base ?? feed.rows.get(delta.symbol)),
+        ...(!base && feed.pendingUpdates.get(delta.symbol)),
+        ...delta,
+      };
+      let state = states.get(delta.symbol);
+      if (!state) {
+        state = [];
+        states.set(delta.symbol, state);
+      }
+      const value = compiled.evaluate(row, delta, state);
+      if (!Object.is(value, row[column.name])) {
+        delta[column.name] = value;
+        row[column.name] = value; // Later columns may read this one
+      }
+    }
+  }
+
+  // Binary batches to ports also carry the computed columns' fields
+  function portDictionary(feed) {
+    const dictionary =
+      feed.dictionary ?? dictionaryFromRows(Array.from(feed.rows.values()));
+    const missing = feed.columns
+      .map(({ column }) => column.name)
+      .filter((name) => !dictionary.fieldIndex.has(name));
+    if (missing.length === 0) return dictionary;
+    return createDictionary({
+      symbols: dictionary.symbols,
+      fields: [...dictionary.fields, ...missing],
+    });
+  }
+
+  // Sync a feed with the saved columns: drop removed columns from its rows,
+  // compute new ones for every row, then send every port a fresh snapshot
+  function refreshColumns(feed) {
+    const saved = computedColumns.filter(
+      (column) => belongsTo(column, feed),
+    );
+    const existing = new Map(feed.columns.map((entry) => [entry.column.id, entry]));
+    const removed = feed.columns.filter(
+      ({ column }) => !saved.some(({ id }) => id === column.id),
+    );
+    const added = [];
+    feed.columns = [];
+    for (const column of saved) {
+      let entry = existing.get(column.id);
+      if (!entry) {
+        try {
+          entry = { column, compiled: compileExpression(column.expression), states: new Map() };
+        } catch (error) {
+          logger.error(`[Worker] Skipping computed column ${column.name}:`, error);
+          continue;
+        }
+        added.push(entry);
+      }
+      feed.columns.push(entry);
+    }
+    if (removed.length === 0 && added.length === 0) return;
+
+    sendColumns(feed);
+    updateUpstreamSubscription(feed);
+    if (!feed.hasSnapshot) return; // Computed when the snapshot arrives
+
+    // Fold pending deltas in first, so the new values start from current rows
+    if (feed.batchTimer) {
+      clock.clearTimeout(feed.batchTimer);
+      flushBatch(feed);
+    }
+    for (const [symbol, row] of feed.rows) {
+      const next = { ...row };
+      removed.forEach(({ column }) => delete next[column.name]);
+      computeColumns(feed, next, {}, added);
+      feed.rows.set(symbol, next);
+    }
+    feed.portDictionary = portDictionary(feed);
+    // Earlier batches don't match the new columns, so ports start over
+    feed.batchHistory = [];
+    feed.seq++;
+    for (const port of feed.ports) {
+      sendSnapshot(port);
+    }
+  }
+
+  function sendColumns(feed, port) {
+    const message = {
+      type: "columns",
+      columns: feed.columns.map(({ column, compiled }) => ({
+        ...column,
+        fields: compiled.fields,
+      })),
+    };
+    if (port) {
+      port.postMessage(message);
+    } else {
+      broadcast(feed, message);
+    }
+  }
+
+  async function addColumn(feed, port, column) {
+    await columnsLoaded;
+    const reject = (message) =>
+      port.postMessage({
+        type: "error",
+        code: "INVALID_COLUMN",
+        message,
+        request: { type: "addColumn", column },
+      });
+
+    const error = validateColumn(column);
+    if (error) return reject(error);
+    const { name, expression } = column;
+    const known = new Set(feed.columns.map(({ column }) => column.name));
+    const sample = feed.rows.values().next().value;
+    if (known.has(name)) return reject(`There is already a column "${name}"`);
+    if (sample && name in sample) {
+      return reject(`Column name "${name}" is already a field`);
+    }
+    if (sample) {
+      const unknown = compileExpression(expression).fields.find(
+        (field) => !(field in sample) && !known.has(field),
+      );
+      if (unknown) return reject(`Unknown field "${unknown}"`);
+    }
+
+    const saved = {
+      id: crypto.randomUUID(),
+      endpoint: feed.endpoint,
+      user: feed.user,
+      name,
+      expression,
+      createdAt: clock.now(),
+    };
+    computedColumns.push(saved);
+    columnStore.put(saved).catch((e) => {
+      logger.error("[Worker] Failed to save computed column:", e);
+    });
+    logger.log(`[Worker] Computed column added: ${name} = ${expression}`);
+    refreshColumns(feed);
+  }
+
+  async function removeColumn(feed, port, id) {
+    await columnsLoaded;
+    const entry = feed.columns.find(({ column }) => column.id === id);
+    const dependent =
+      entry &&
+      feed.columns.find(({ compiled }) => compiled.fields.includes(entry.column.name));
+    if (dependent) {
+      port.postMessage({
+        type: "error",
+        code: "INVALID_COLUMN",
+        message: `Column "${dependent.column.name}" uses "${entry.column.name}"`,
+        request: { type: "removeColumn", id },
+      });
+      return;
+    }
+    computedColumns = computedColumns.filter(
+      (column) => column.id !== id || !belongsTo(column, feed),
+    );
+    columnStore.delete(id).catch((e) => {
+      logger.error("[Worker] Failed to delete computed column:", e);
+    });
+    refreshColumns(feed);
+  }
+
+  function workspacesMessage() {
+    return {
+      type: "workspaces",
+      workspaces: Array.from(workspaces.values()).sort((a, b) =>
+        a.name.localeCompare(b.name),
+      ),
+    };
+  }
+
+  function broadcastWorkspaces() {
+    const message = workspacesMessage();
+    for (const port of ports.keys()) {
+      port.postMessage(message);
+    }
+  }
+
+  // Saving under an existing name replaces that workspace
+  async function saveWorkspace(port, workspace) {
+    const error = validateWorkspace(workspace);
+    if (error) {
+      port.postMessage({
+        type: "error",
+        code: "INVALID_WORKSPACE",
+        message: error,
+        request: { type: "saveWorkspace", workspace },
+      });
+      return;
+    }
+
+    await workspacesLoaded;
+    const name = workspace.name.trim();
+    const saved = {
+      id: name,
+      name,
+      columnState: workspace.columnState,
+      filterModel: workspace.filterModel,
+      selection: workspace.selection,
+      linkGroup: workspace.linkGroup ?? null,
+      updatedAt: clock.now(),
+    };
+    workspaces.set(name, saved);
+    workspaceStore.put(saved).catch((e) => {
+      logger.error("[Worker] Failed to save workspace:", e);
+    });
+    logger.log(`[Worker] Workspace saved: ${name}`);
+    broadcastWorkspaces();
+  }
+
+  async function deleteWorkspace(name) {
+    await workspacesLoaded;
+    if (!workspaces.delete(name)) return;
+    workspaceStore.delete(name).catch((e) => {
+      logger.error("[Worker] Failed to delete workspace:", e);
+    });
+    broadcastWorkspaces();
+  }
+
+  // A port joining a link group picks up the group's current selection
+  function setLinkGroup(port, group) {
+    const portInfo = ports.get(port);
+    portInfo.linkGroup = group;
+    if (group && linkSelections.has(group)) {
+      port.postMessage({
+        type: "linkedSelection",
+        group,
+        symbols: linkSelections.get(group),
+      });
+    }
+  }
+
+  // Pass a tab's selection to the other tabs in its link group
+  function shareSelection(port, symbols) {
+    const { linkGroup } = ports.get(port);
+    if (!linkGroup) return;
+    linkSelections.set(linkGroup, symbols);
+    const message = { type: "linkedSelection", group: linkGroup, symbols };
+    for (const [other, otherInfo] of ports) {
+      if (other !== port && otherInfo.linkGroup === linkGroup) {
+        other.postMessage(message);
+      }
+    }
+  }
+
+  function requestResync(feed) {
+    if (feed.awaitingResync) return;
+    feed.awaitingResync = true;
+    logger.log(`[Worker] Gap after seq ${feed.serverSeq}, requesting resync`);
+    feed.ws.send(
+      JSON.stringify({
+        type: "resync",
+        fromSeq: feed.serverSeq,
+        epoch: feed.serverEpoch,
+      }),
+    );
+  }
+
+  function statusMessage(feed) {
+    return {
+      type: "status",
+      state: feed.state,
+      attempt: feed.attempt,
+      maxAttempts: feed.reconnect.maxAttempts,
+      nextRetryAt: feed.nextRetryAt,
+      lastMessageAt: feed.lastMessageAt,
+      authError: feed.authError,
+    };
+  }
+
+  // The server accepted our token; alert rules and computed columns follow
+  // the user it belongs to
+  function setUser(feed, user) {
+    feed.authError = null;
+    if (feed.user === user) return;
+    feed.user = user;
+    logger.log(`[Worker] ${feed.endpoint} identified as ${user ?? "anonymous"}`);
+    sendAlertRules(feed);
+    refreshColumns(feed);
+    updateUpstreamSubscription(feed);
+  }
+
+  // The server rejected the token. Drop what it let us see, so no tab gets it
+  // from our copy, and stop retrying until a tab asks (say, after the token
+  // was renewed on the server).
+  function rejectCredentials(feed, reason) {
+    logger.log(`[Worker] ${feed.endpoint} rejected the token (${reason})`);
+    feed.authError = reason || "UNAUTHORIZED";
+    clock.clearTimeout(feed.snapshotSaveTimer);
+    feed.snapshotSaveTimer = null;
+    snapshotId(feed)
+      .then((id) => snapshotStore.delete(id))
+      .catch((error) => {
+        logger.error("[Worker] Failed to delete saved snapshot:", error);
+      });
+    feed.cachedAt = null;
+    feed.rows = new Map();
+    feed.pendingUpdates.clear();
+    feed.hasSnapshot = false;
+    feed.batchHistory = [];
+    feed.serverEpoch = null;
+    feed.retained.clear();
+    feed.trades = [];
+    feed.pendingTrades = [];
+    feed.history.forEach((bySymbol) => bySymbol.clear());
+    feed.columns.forEach(({ states }) => states.clear());
+    for (const entry of feed.bars.values()) {
+      Object.assign(entry, { bars: [], current: null, loaded: false });
+    }
+    for (const book of feed.books.values()) {
+      Object.assign(book, { bids: new Map(), asks: new Map(), loaded: false });
+    }
+    feed.nextRetryAt = null;
+    setState(feed, "failed");
+  }
+
+  function setState(feed, state) {
+    if (feed.state === state && state !== "reconnecting") return;
+    feed.state = state;
+    logger.log(`[Worker] ${feed.endpoint} is ${state}`);
+    broadcast(feed, statusMessage(feed));
+  }
+
+  // Exponential backoff with "equal jitter": half fixed, half random
+  function backoffDelay(feed) {
+    const { baseDelay, maxDelay } = feed.reconnect;
+    const delay = Math.min(maxDelay, baseDelay * 2 ** (feed.attempt - 1));
+    return delay / 2 + Math.random() * (delay / 2);
+  }
+
+  function scheduleReconnect(feed) {
+    feed.attempt++;
+    feed.reconnects++;
+    if (feed.attempt > feed.reconnect.maxAttempts) {
+      logger.log(`[Worker] Giving up on ${feed.endpoint} after ${feed.attempt - 1} attempts`);
+      feed.nextRetryAt = null;
+      setState(feed, "failed");
+      return;
+    }
+
+    const delay = backoffDelay(feed);
+    feed.nextRetryAt = clock.now() + delay;
+    feed.reconnectTimeout = clock.setTimeout(() => {
+      feed.reconnectTimeout = null;
+      logger.log(`[Worker] Attempting to reconnect to ${feed.endpoint}...`);
+      connect(feed);
+    }, delay);
+    setState(feed, "reconnecting");
+  }
+
+  // A tab asked to skip the remaining backoff (or drop a stale socket)
+  function retryNow(feed) {
+    if (feed.state === "reconnecting" || feed.state === "failed") {
+      clock.clearTimeout(feed.reconnectTimeout);
+      feed.reconnectTimeout = null;
+      if (feed.state === "failed") feed.attempt = 0;
+      connect(feed);
+    } else if (feed.state === "stale") {
+      feed.ws.close(); // onclose schedules the first, shortest retry
+    }
+  }
+
+  function checkStale(feed) {
+    if (feed.state !== "open") return;
+    if (clock.now() - feed.lastMessageAt > feed.staleAfter) {
+      setState(feed, "stale");
+    }
+  }
+
+  function connect(feed) {
+    // Resume from our last position if we have one; the server replays or
+    // falls back to a snapshot
+    const url = new URL(feed.endpoint);
+    if (feed.token) {
+      url.searchParams.set("token", feed.token);
+    }
+    if (feed.serverEpoch) {
+      url.searchParams.set("epoch", feed.serverEpoch);
+      url.searchParams.set("fromSeq", feed.serverSeq);
+    }
+    // Offer binary update frames, with JSON as the fallback
+    const protocols = [].concat(feed.protocols ?? [], BINARY_PROTOCOL, JSON_PROTOCOL);
+    const ws = new WebSocket(url, protocols);
+    ws.binaryType = "arraybuffer";
+    feed.ws = ws;
+    feed.nextRetryAt = null;
+    setState(feed, "connecting");
+
+    ws.onopen = () => {
+      logger.log(
+        `[Worker] Connected to ${feed.endpoint} (${ws.protocol || "json"})`,
+      );
+      feed.attempt = 0;
+      feed.lastMessageAt = clock.now();
+      feed.staleTimer = clock.setInterval(() => checkStale(feed), STALE_CHECK_INTERVAL);
+      setState(feed, "open");
+
+      // A new connection streams everything until told otherwise
+      feed.upstreamInterest = JSON.stringify({ symbols: null, fields: null });
+      feed.upstreamPending = false;
+      updateUpstreamSubscription(feed);
+      for (const entry of feed.bars.values()) {
+        sendBarsUpstream(feed, "subscribeBars", entry);
+      }
+      for (const [symbol, book] of feed.books) {
+        book.loaded = false;
+        sendDepthUpstream(feed, "subscribeDepth", symbol);
+      }
+    };
+
+    ws.onmessage = (event) => {
+      const message =
+        event.data instanceof ArrayBuffer
+          ? decodeUpdate(event.data, feed.dictionary)
+          : JSON.parse(event.data);
+
+      feed.lastMessageAt = clock.now();
+      feed.stats.messagesIn++;
+      if (feed.state === "stale") {
+        setState(feed, "open");
+      }
+
+      if (message.type === "heartbeat") {
+        // Only keeps lastMessageAt fresh while nothing else is flowing
+      } else if (message.type === "initial") {
+        // Replace the row store with the server's snapshot
+        if (feed.batchTimer) {
+          clock.clearTimeout(feed.batchTimer);
+          feed.batchTimer = null;
+        }
+        feed.pendingUpdates.clear();
+        feed.pendingTimestamp = null;
+        feed.rows = new Map(message.data.map((row) => [row.symbol, row]));
+        feed.rowsTimestamp = clock.now();
+        message.data.forEach((row) => {
+          computeColumns(feed, row, {});
+          recordHistory(feed, row, clock.now());
+        });
+        feed.dictionary = message.dictionary
+          ? createDictionary(message.dictionary)
+          : null;
+        feed.portDictionary = portDictionary(feed);
+        feed.hasSnapshot = true;
+        feed.cachedAt = null;
+        scheduleSnapshotSave(feed);
+        feed.serverEpoch = message.epoch;
+        feed.serverSeq = message.seq;
+        feed.awaitingResync = false;
+        feed.upstreamPending = false;
+        // Batches before the snapshot can no longer be replayed on top of it
+        feed.batchHistory = [];
+        feed.seq++;
+        for (const port of feed.ports) {
+          sendSnapshot(port);
+        }
+      } else if (message.type === "update") {
+        if (message.seq <= feed.serverSeq) return; // Duplicate
+        if (message.prevSeq !== feed.serverSeq) {
+          requestResync(feed);
+        }
+        // Updates arriving before the replay are covered by it
+        if (!feed.awaitingResync) {
+          applyServerUpdate(feed, message);
+        }
+      } else if (message.type === "replay") {
+        logger.log(`[Worker] Replaying ${message.updates.length} missed updates`);
+        message.updates
+          .filter((update) => update.seq > feed.serverSeq)
+          .forEach((update) => applyServerUpdate(feed, update));
+        feed.serverSeq = message.seq;
+        feed.awaitingResync = false;
+      } else if (message.type === "bars") {
+        applyServerBars(feed, message);
+      } else if (message.type === "bar") {
+        applyServerBar(feed, message);
+      } else if (message.type === "depth") {
+        applyServerDepth(feed, message);
+      } else if (message.type === "depthUpdate") {
+        applyServerDepthUpdate(feed, message);
+      } else if (message.type === "trades") {
+        applyServerTrades(feed, message);
+      } else if (message.type === "identity") {
+        setUser(feed, message.user);
+      } else if (message.type === "settings") {
+        feed.lastSettings = message;
+        broadcast(feed, message);
+      } else if (RETAINED_TYPES.has(message.type)) {
+        feed.retained.set(message.type, message);
+        broadcast(feed, message);
+      } else if (
+        message.type === "error" &&
+        (message.request?.type === "subscribeBars" ||
+          message.request?.type === "subscribeDepth")
+      ) {
+        rejectSubscription(feed, message);
+      } else {
+        // Errors and anything else go straight to every tab on this feed
+        broadcast(feed, message);
+      }
+    };
+
+    ws.onclose = (event) => {
+      logger.log(`[Worker] Disconnected from ${feed.endpoint}`);
+      feed.awaitingResync = false;
+      clock.clearInterval(feed.staleTimer);
+      feed.staleTimer = null;
+
+      // Flush any pending updates before closing
+      if (feed.batchTimer) {
+        clock.clearTimeout(feed.batchTimer);
+        flushBatch(feed);
+      }
+
+      if (AUTH_CLOSE_CODES.has(event.code)) {
+        rejectCredentials(feed, event.reason);
+      } else if (feed.ports.size > 0) {
+        // Only attempt to reconnect if the feed still has ports
+        scheduleReconnect(feed);
+      } else {
+        logger.log("[Worker] No active ports, not reconnecting");
+        feed.ws = null;
+      }
+    };
+
+    ws.onerror = (error) => {
+      logger.error("[Worker] WebSocket error:", error);
+    };
+  }
+
+  function isStringList(value) {
+    return (
+      Array.isArray(value) && value.every((item) => typeof item === "string")
+    );
+  }
+
+  function broadcast(feed, message) {
+    for (const port of feed.ports) {
+      port.postMessage(message);
+    }
+  }
+
+  // Attach a port to the pooled feed for its endpoint, opening it if needed
+  function attachPort(port, config) {
+    const portInfo = ports.get(port);
+    const endpoint = new URL(config.endpoint).href;
+    const key = feedKey(endpoint, config.token);
+
+    if (portInfo.feed?.key === key) return;
+    if (portInfo.feed) {
+      detachPort(port);
+    }
+
+    let feed = feeds.get(key);
+    if (!feed) {
+      feed = createFeed(endpoint, config);
+      feeds.set(key, feed);
+      columnsLoaded.then(() => refreshColumns(feed));
+      loadSnapshot(feed);
+    }
+    feed.ports.add(port);
+    portInfo.feed = feed;
+    portInfo.lastSeq = 0;
+
+    logger.log(
+      `[Worker] Port ${portInfo.id} attached to ${endpoint} (${feed.ports.size} ports)`,
+    );
+
+    // If no WebSocket connection exists, establish it
+    if (!feed.ws) {
+      connect(feed);
+      port.postMessage(statusMessage(feed));
+      return;
+    }
+
+    // A port without a subscription may widen what the server needs to send
+    updateUpstreamSubscription(feed);
+
+    // Send a current snapshot of the row store (or the saved one) to the new
+    // port, unless the server's answer to a new subscription is on its way
+    if ((feed.hasSnapshot || feed.cachedAt !== null) && !feed.upstreamPending) {
+      sendSnapshot(port);
+    }
+    if (feed.lastSettings) {
+      port.postMessage(feed.lastSettings);
+    }
+    feed.retained.forEach((message) => port.postMessage(message));
+
+    // Notify new port of current connection status
+    port.postMessage(statusMessage(feed));
+  }
+
+  function detachPort(port) {
+    const portInfo = ports.get(port);
+    const { feed } = portInfo;
+    if (!feed) return;
+
+    portInfo.bars.forEach((key) => unsubscribeBars(port, key));
+    portInfo.depth.forEach((symbol) => unsubscribeDepth(port, symbol));
+    portInfo.trades = false;
+    clearPending(portInfo);
+    feed.ports.delete(port);
+    portInfo.feed = null;
+    if (feed.ports.size === 0) {
+      closeFeed(feed);
+    } else {
+      updateUpstreamSubscription(feed);
+    }
+  }
+
+  // Close a feed's WebSocket once no port needs it
+  function closeFeed(feed) {
+    logger.log(`[Worker] No more ports on ${feed.endpoint}, closing WebSocket`);
+    feeds.delete(feed.key);
+    if (feed.reconnectTimeout) {
+      clock.clearTimeout(feed.reconnectTimeout);
+      feed.reconnectTimeout = null;
+    }
+    if (feed.batchTimer) {
+      clock.clearTimeout(feed.batchTimer);
+      feed.batchTimer = null;
+    }
+    clock.clearInterval(feed.staleTimer);
+    feed.staleTimer = null;
+    // Keep the latest rows for the next tab to open
+    if (feed.snapshotSaveTimer !== null) {
+      saveSnapshot(feed);
+    }
+    if (feed.ws) {
+      feed.ws.close();
+      feed.ws = null;
+    }
+  }
+
+  function removePort(port) {
+    if (ports.has(port)) {
+      const portInfo = ports.get(port);
+      detachPort(port);
+      ports.delete(port);
+      for (const [id, owner] of ruleOwners) {
+        if (owner === port) ruleOwners.delete(id);
+      }
+      logger.log(`[Worker] Port ${portInfo.id} removed. Total ports: ${ports.size}`);
+      checkCleanup();
+    }
+  }
+
+  function checkCleanup() {
+    // If no more ports, stop monitoring heartbeats
+    if (ports.size === 0 && heartbeatInterval) {
+      clock.clearInterval(heartbeatInterval);
+      heartbeatInterval = null;
+      clock.clearInterval(diagnosticsInterval);
+      diagnosticsInterval = null;
+    }
+  }
+
+  function checkHeartbeats() {
+    const now = clock.now();
+    const HEARTBEAT_TIMEOUT = 30000; // 30 seconds - generous timeout for background tabs
+
+    for (const [port, portInfo] of ports.entries()) {
+      if (now - portInfo.lastPong > HEARTBEAT_TIMEOUT) {
+        logger.log(`[Worker] Port ${portInfo.id} heartbeat timeout (${now - portInfo.lastPong}ms), removing`);
+        // A frozen tab reads this when it thaws; a closed one never will
+        port.postMessage({
+          type: "error",
+          code: "UNKNOWN_PORT",
+          message: "This port missed its heartbeats and was disconnected; connect again",
+        });
+        removePort(port);
+      }
+    }
+  }
+
+  function sendHeartbeats() {
+    for (const [port, portInfo] of ports.entries()) {
+      try {
+        port.postMessage({ type: "ping" });
+      } catch (e) {
+        logger.error(`[Worker] Error sending ping to port ${portInfo.id}:`, e);
+        removePort(port);
+      }
+    }
+  }
+
+  function startHeartbeatMonitoring() {
+    if (heartbeatInterval) return;
+    // Send pings every 10 seconds, timeout after 30 seconds
+    heartbeatInterval = clock.setInterval(() => {
+      sendHeartbeats();
+      checkHeartbeats();
+    }, 10000);
+    diagnosticsInterval = clock.setInterval(sampleRates, 1000);
+  }
+
+  // Turn each feed's and port's counters into per-second rates
+  function sampleRates() {
+    const sample = (holder) => {
+      const { stats, sampled } = holder;
+      holder.rates = Object.fromEntries(
+        Object.keys(stats).map((key) => [key, stats[key] - (sampled?.[key] ?? 0)]),
+      );
+      holder.sampled = { ...stats };
+    };
+    feeds.forEach(sample);
+    ports.forEach(sample);
+  }
+
+  // The hub's view of itself for the diagnostics panel. Feeds are listed
+  // without their user, and ports only say whether they share the asker's feed.
+  function diagnosticsMessage(port) {
+    const asker = ports.get(port);
+    const now = clock.now();
+    return {
+      type: "diagnostics",
+      timestamp: now,
+      portId: asker.id,
+      feeds: Array.from(feeds.values(), (feed) => {
+        const rates = feed.rates ?? {
+          messagesIn: 0,
+          updatesIn: 0,
+          rowsIn: 0,
+          batchesOut: 0,
+          rowsOut: 0,
+        };
+        return {
+          endpoint: feed.endpoint,
+          mine: feed === asker.feed,
+          state: feed.state,
+          ports: feed.ports.size,
+          reconnects: feed.reconnects,
+          lastMessageAge: feed.lastMessageAt && now - feed.lastMessageAt,
+          rates,
+          totals: { ...feed.stats }, // Since the feed opened
+          // Rows merged away in pendingUpdates before batches went out
+          dedupRatio: rates.rowsIn > 0 ? 1 - rates.rowsOut / rates.rowsIn : 0,
+          averageBatchSize: rates.batchesOut > 0 ? rates.rowsOut / rates.batchesOut : 0,
+          pendingRows: feed.pendingUpdates.size,
+          bufferedAmount: feed.ws?.bufferedAmount ?? 0,
+        };
+      }),
+      ports: Array.from(ports.values(), (portInfo) => ({
+        id: portInfo.id,
+        sameFeed: portInfo.feed === asker.feed,
+        lastPongAge: now - portInfo.lastPong,
+        visible: portInfo.visible,
+        flushInterval: portInfo.flushInterval,
+        heldRows: portInfo.pending.size,
+        rates: portInfo.rates ?? { messages: 0, rows: 0 },
+      })),
+    };
+  }
+
+  function notInitialized(port, request) {
+    port.postMessage({
+      type: "error",
+      code: "NOT_INITIALIZED",
+      message: "Send init with an endpoint before using the feed",
+      request,
+    });
+  }
+
+  // Handle a new port (a tab's MessagePort, or a stand-in with the same
+  // postMessage/onmessage/start surface). defaultConfig attaches it to a feed
+  // without waiting for init.
+  function connectPort(port, defaultConfig = null) {
+    const portId = nextPortId++;
+
+    ports.set(port, {
+      id: portId,
+      lastPong: clock.now(),
+      feed: null, // Set by init, or from the worker name
+      subscription: null, // Whole feed until the port subscribes
+      bars: new Set(), // "symbol:interval" keys of the port's bar subscriptions
+      depth: new Set(), // Symbols whose order book the port watches
+      trades: false, // Whether the port gets trade prints
+      linkGroup: null, // Selection is shared with ports in the same group
+      // Flush cadence, from the tab's capacity reports
+      visible: true,
+      flushInterval: BATCH_INTERVAL,
+      pending: new Map(), // Conflated rows held for the next flush
+      pendingSeq: 0,
+      pendingTimestamp: null,
+      flushTimer: null,
+      stats: { messages: 0, rows: 0 }, // Delivered, for getDiagnostics
+      sampled: null,
+      rates: null,
+      lastSeq: 0,
+      binary: false, // Batches as transferable ArrayBuffers (init encoding)
+    });
+
+    logger.log(`[Worker] Port ${portId} connected. Total ports: ${ports.size}`);
+
+    port.onmessage = (event) => {
+      const portInfo = ports.get(port);
+      if (!portInfo) {
+        // Removed, most likely for missing pongs while its tab was frozen.
+        // Say so, or the tab would wait for batches that never come.
+        if (event.data.type !== "disconnect") {
+          port.postMessage({
+            type: "error",
+            code: "UNKNOWN_PORT",
+            message: "This port was disconnected; connect again",
+            request: { type: event.data.type },
+          });
+        }
+        return;
+      }
+      const { feed } = portInfo;
+
+      if (event.data.type === "pong") {
+        portInfo.lastPong = clock.now();
+        logger.log(`[Worker] Port ${portInfo.id} pong received`);
+      } else if (event.data.type === "init") {
+        const { endpoint, protocols, token, reconnect, staleAfter, encoding } =
+          event.data;
+        let url = null;
+        try {
+          url = new URL(endpoint);
+        } catch {
+          // Reported below
+        }
+        if (!url || (url.protocol !== "ws:" && url.protocol !== "wss:")) {
+          port.postMessage({
+            type: "error",
+            code: "INVALID_ENDPOINT",
+            message: `Not a WebSocket URL: ${endpoint}`,
+            request: { type: "init", endpoint },
+          });
+          return;
+        }
+        portInfo.binary = encoding === "binary";
+        attachPort(port, { endpoint, protocols, token, reconnect, staleAfter });
+      } else if (event.data.type === "capacity") {
+        const { visible, frameTime } = event.data;
+        if (
+          typeof visible !== "boolean" ||
+          (frameTime !== undefined &&
+            !(Number.isFinite(frameTime) && frameTime >= 0))
+        ) {
+          port.postMessage({
+            type: "error",
+            code: "INVALID_CAPACITY",
+            message: "capacity needs a visible flag and an optional frameTime in ms",
+            request: event.data,
+          });
+          return;
+        }
+        setCapacity(port, { visible, frameTime });
+      } else if (event.data.type === "getDiagnostics") {
+        port.postMessage(diagnosticsMessage(port));
+      } else if (event.data.type === "retryNow") {
+        if (!feed) return notInitialized(port, event.data);
+        logger.log(`[Worker] Port ${portInfo.id} asked to retry now`);
+        retryNow(feed);
+      } else if (event.data.type === "resync") {
+        if (!feed) return notInitialized(port, event.data);
+        logger.log(
+          `[Worker] Port ${portInfo.id} resync from seq ${event.data.fromSeq}`,
+        );
+        resyncPort(port, event.data.fromSeq);
+      } else if (event.data.type === "subscribe") {
+        const { symbols, fields = null } = event.data;
+        if (!isStringList(symbols) || (fields !== null && !isStringList(fields))) {
+          port.postMessage({
+            type: "error",
+            code: "INVALID_SUBSCRIPTION",
+            message: "subscribe needs a symbols array and an optional fields array",
+            request: event.data,
+          });
+          return;
+        }
+        // The first subscription narrows the port from the whole feed
+        portInfo.subscription ??= new Map();
+        const fieldSet = fields && new Set(fields);
+        symbols.forEach((symbol) => portInfo.subscription.set(symbol, fieldSet));
+        logger.log(
+          `[Worker] Port ${portInfo.id} subscribed to ${symbols.length} symbols`,
+        );
+        if (feed) {
+          // Newly added symbols need a baseline: the server's snapshot if the
+          // upstream subscription changed, otherwise the hub's own
+          updateUpstreamSubscription(feed);
+          if (feed.hasSnapshot && !feed.upstreamPending) sendSnapshot(port);
+        }
+      } else if (event.data.type === "unsubscribe") {
+        // Without a symbol list the port unsubscribes from everything
+        const { symbols } = event.data;
+        if (symbols !== undefined && !isStringList(symbols)) {
+          port.postMessage({
+            type: "error",
+            code: "INVALID_SUBSCRIPTION",
+            message: "unsubscribe takes an optional symbols array",
+            request: event.data,
+          });
+          return;
+        }
+        portInfo.subscription ??= new Map();
+        if (symbols) {
+          symbols.forEach((symbol) => portInfo.subscription.delete(symbol));
+        } else {
+          portInfo.subscription.clear();
+        }
+        logger.log(`[Worker] Port ${portInfo.id} unsubscribed`);
+        if (feed) updateUpstreamSubscription(feed);
+      } else if (event.data.type === "getHistory") {
+        if (!feed) return notInitialized(port, event.data);
+        const { symbols, field } = event.data;
+        if (
+          (symbols !== undefined && !isStringList(symbols)) ||
+          (field !== undefined && typeof field !== "string")
+        ) {
+          port.postMessage({
+            type: "error",
+            code: "INVALID_HISTORY_REQUEST",
+            message: "getHistory takes an optional symbols array and field name",
+            request: event.data,
+          });
+          return;
+        }
+        sendHistory(port, { symbols, field });
+      } else if (event.data.type === "getSnapshot") {
+        if (!feed) return notInitialized(port, event.data);
+        sendExportSnapshot(port, event.data);
+      } else if (
+        event.data.type === "subscribeBars" ||
+        event.data.type === "unsubscribeBars"
+      ) {
+        if (!feed) return notInitialized(port, event.data);
+        const { symbol, interval } = event.data;
+        if (typeof symbol !== "string" || typeof interval !== "string") {
+          port.postMessage({
+            type: "error",
+            code: "INVALID_BARS_SUBSCRIPTION",
+            message: `${event.data.type} needs a symbol and an interval`,
+            request: event.data,
+          });
+          return;
+        }
+        if (event.data.type === "subscribeBars") {
+          subscribeBars(port, symbol, interval);
+        } else {
+          unsubscribeBars(port, barKey(symbol, interval));
+        }
+      } else if (
+        event.data.type === "subscribeDepth" ||
+        event.data.type === "unsubscribeDepth"
+      ) {
+        if (!feed) return notInitialized(port, event.data);
+        const { symbol } = event.data;
+        if (typeof symbol !== "string") {
+          port.postMessage({
+            type: "error",
+            code: "INVALID_DEPTH_SUBSCRIPTION",
+            message: `${event.data.type} needs a symbol`,
+            request: event.data,
+          });
+          return;
+        }
+        if (event.data.type === "subscribeDepth") {
+          subscribeDepth(port, symbol);
+        } else {
+          unsubscribeDepth(port, symbol);
+        }
+      } else if (event.data.type === "subscribeTrades") {
+        if (!feed) return notInitialized(port, event.data);
+        subscribeTrades(port);
+      } else if (event.data.type === "unsubscribeTrades") {
+        portInfo.trades = false;
+      } else if (event.data.type === "listWorkspaces") {
+        workspacesLoaded.then(() => port.postMessage(workspacesMessage()));
+      } else if (event.data.type === "saveWorkspace") {
+        saveWorkspace(port, event.data.workspace);
+      } else if (event.data.type === "deleteWorkspace") {
+        deleteWorkspace(event.data.name);
+      } else if (event.data.type === "setLinkGroup") {
+        const { group = null } = event.data;
+        if (!isLinkGroup(group)) {
+          port.postMessage({
+            type: "error",
+            code: "INVALID_LINK_GROUP",
+            message: `Unknown link group: ${group}`,
+            request: event.data,
+          });
+          return;
+        }
+        setLinkGroup(port, group);
+      } else if (event.data.type === "select") {
+        const { symbols } = event.data;
+        if (!isStringList(symbols)) {
+          port.postMessage({
+            type: "error",
+            code: "INVALID_SELECTION",
+            message: "select needs a symbols array",
+            request: event.data,
+          });
+          return;
+        }
+        shareSelection(port, symbols);
+      } else if (event.data.type === "addAlert") {
+        if (!feed) return notInitialized(port, event.data);
+        addAlertRule(feed, port, event.data.rule);
+      } else if (event.data.type === "removeAlert") {
+        if (!feed) return notInitialized(port, event.data);
+        removeAlertRule(feed, event.data.id);
+      } else if (event.data.type === "listAlerts") {
+        if (!feed) return notInitialized(port, event.data);
+        alertsLoaded.then(() => sendAlertRules(feed, port));
+      } else if (event.data.type === "addColumn") {
+        if (!feed) return notInitialized(port, event.data);
+        addColumn(feed, port, event.data.column);
+      } else if (event.data.type === "removeColumn") {
+        if (!feed) return notInitialized(port, event.data);
+        removeColumn(feed, port, event.data.id);
+      } else if (event.data.type === "listColumns") {
+        if (!feed) return notInitialized(port, event.data);
+        columnsLoaded.then(() => sendColumns(feed, port));
+      } else if (event.data.type === "disconnect") {
+        logger.log(`[Worker] Port ${portInfo.id} explicit disconnect`);
+        removePort(port);
+      } else if (FORWARDED_TYPES.has(event.data.type)) {
+        if (!feed) return notInitialized(port, event.data);
+        if (feed.ws && feed.ws.readyState === WebSocket.OPEN) {
+          logger.log(`[Worker] Forwarding ${event.data.type}`, event.data);
+          feed.ws.send(JSON.stringify(event.data));
+        } else {
+          if (feed.lastSettings) {
+            port.postMessage(feed.lastSettings);
+          }
+          port.postMessage({
+            type: "error",
+            code: "NOT_CONNECTED",
+            message: "Not connected to the market data server",
+            request: event.data,
+          });
+        }
+      }
+    };
+
+    port.start();
+    startHeartbeatMonitoring();
+
+    if (defaultConfig) {
+      attachPort(port, defaultConfig);
+    }
+  }
+
+  return { connectPort };
+}
@@ -0,0 +1,209 @@
+// Connects a tab to the market data hub and returns a port-like object
+// (postMessage / onmessage / start / close) speaking the hub's port protocol.
+//
+// - SharedWorker available: the shared worker's MessagePort.
+// - Otherwise: one tab is elected leader with the Web Locks API and runs the
+//   hub itself. Every tab (the leader included) talks to it over a
+//   BroadcastChannel; when the leader closes, the lock passes to another tab,
+//   which takes over and asks the others to replay their init/subscriptions.
+// - Neither available: the hub runs in this tab over a MessageChannel.
+import { createHub } from "./market-hub.js";
+
+const CHANNEL_NAME = "market-hub";
+const LOCK_NAME = "market-hub-leader";
+
+// Keys of the session state each port message sets; a new leader gets the
+// latest per key rather than the whole history
+const SESSION_KEYS = {
+  init: () => "init",
+  subscribeBars: ({ symbol, interval }) => `bars:${symbol}:${interval}`,
+  unsubscribeBars: ({ symbol, interval }) => `bars:${symbol}:${interval}`,
+  subscribeDepth: ({ symbol }) => `depth:${symbol}`,
+  unsubscribeDepth: ({ symbol }) => `depth:${symbol}`,
+  subscribeTrades: () => "trades",
+  unsubscribeTrades: () => "trades",
+  setLinkGroup: () => "linkGroup",
+};
+const SESSION_CLEARS = new Set([
+  "unsubscribeBars",
+  "unsubscribeDepth",
+  "unsubscribeTrades",
+]);
+
+let electionStarted = false;
+let hub = null; // Created when this tab first runs the hub itself
+
+function localHub() {
+  hub ??= createHub();
+  return hub;
+}
+
+export function connectMarketHub() {
+  if (typeof SharedWorker !== "undefined") {
+    const worker = new SharedWorker(
+      new URL("./market-worker.js", import.meta.url),
+      {
+        name: "market-worker",
+        type: "module",
+      },
+    );
+    return worker.port;
+  }
+
+  if (typeof BroadcastChannel !== "undefined" && navigator.locks) {
+    console.log("[Transport] SharedWorker unavailable, using leader election");
+    startElection();
+    return createChannelPort();
+  }
+
+  console.log("[Transport] No SharedWorker or Web Locks, running hub in tab");
+  const { port1, port2 } = new MessageChannel();
+  localHub().connectPort(port1);
+  return port2;
+}
+
+// Queue for the leader lock once per page; the callback runs when this tab
+// becomes leader and holds the lock until the tab goes away
+function startElection() {
+  if (electionStarted) return;
+  electionStarted = true;
+
+  navigator.locks.request(LOCK_NAME, () => {
+    becomeLeader();
+    return new Promise(() => {});
+  });
+}
+
+function becomeLeader() {
+  console.log("[Transport] This tab is now the market hub leader");
+  const channel = new BroadcastChannel(CHANNEL_NAME);
+  const remotePorts = new Map(); // Map of tabId -> stand-in port
+
+  channel.onmessage = ({ data }) => {
+    if (data.kind !== "toLeader") return;
+
+    let port = remotePorts.get(data.from);
+    if (!port) {
+      if (data.message.type === "disconnect") return;
+      port = createRemotePort(channel, data.from, () =>
+        remotePorts.delete(data.from),
+      );
+      remotePorts.set(data.from, port);
+      localHub().connectPort(port);
+    }
+    port.onmessage?.({ data: data.message });
+
+    if (data.message.type === "disconnect") {
+      remotePorts.delete(data.from);
+    }
+  };
+
+  // Tabs that joined before us (or under the previous leader) resend their
+  // session, which connects them to this hub
+  channel.postMessage({ kind: "leader" });
+}
+
+// The hub's view of a tab on the other side of the BroadcastChannel.
+// onDropped runs when the hub says it has let the tab go, so the tab's next
+// message connects a fresh stand-in.
+function createRemotePort(channel, tabId, onDropped) {
+  return {
+    onmessage: null,
+    start() {},
+    close() {},
+    // Transfer lists don't apply; the channel structured-clones everything
+    postMessage(message) {
+      if (message.type === "error" && message.code === "UNKNOWN_PORT") {
+        onDropped();
+      }
+      channel.postMessage({ kind: "toTab", to: tabId, message });
+    },
+  };
+}
+
+// What a tab has set up, kept as its latest state: the init, its symbol
+// subscription, open bars/depth/trades subscriptions and its link group
+function createSession() {
+  const state = new Map(); // Map of key -> latest message, in first-set order
+  let subscription = null; // Map of symbol -> fields, once narrowed
+
+  return {
+    record(message) {
+      // Malformed (un)subscribes are left for the hub to reject
+      const { symbols } = message;
+      if (message.type === "subscribe" && Array.isArray(symbols)) {
+        subscription ??= new Map();
+        for (const symbol of symbols) {
+          subscription.set(symbol, message.fields ?? null);
+        }
+      } else if (message.type === "unsubscribe" && symbols === undefined) {
+        subscription = new Map();
+      } else if (message.type === "unsubscribe" && Array.isArray(symbols)) {
+        subscription ??= new Map();
+        symbols.forEach((symbol) => subscription.delete(symbol));
+      } else if (SESSION_KEYS[message.type]) {
+        const key = SESSION_KEYS[message.type](message);
+        if (SESSION_CLEARS.has(message.type)) {
+          state.delete(key);
+        } else {
+          state.set(key, message);
+        }
+      }
+    },
+
+    // The messages that rebuild this state on a fresh hub port
+    replay() {
+      const messages = [];
+      if (state.has("init")) messages.push(state.get("init"));
+      if (subscription) {
+        // An empty subscription still narrows the port from the whole feed
+        messages.push({ type: "unsubscribe" });
+        const groups = new Map(); // Map of fields key -> subscribe message
+        for (const [symbol, fields] of subscription) {
+          const key = fields ? fields.join("\n") : "";
+          if (!groups.has(key)) {
+            groups.set(key, { type: "subscribe", symbols: [], fields });
+          }
+          groups.get(key).symbols.push(symbol);
+        }
+        messages.push(...groups.values());
+      }
+      for (const [key, message] of state) {
+        if (key !== "init") messages.push(message);
+      }
+      return messages;
+    },
+  };
+}
+
+// The tab's side: messages go to whichever tab currently leads
+function createChannelPort() {
+  const tabId = crypto.randomUUID();
+  const channel = new BroadcastChannel(CHANNEL_NAME);
+  const session = createSession();
+
+  const send = (message) =>
+    channel.postMessage({ kind: "toLeader", from: tabId, message });
+
+  const port = {
+    onmessage: null,
+    start() {},
+    postMessage(message) {
+      session.record(message);
+      send(message);
+    },
+    close() {
+      channel.close();
+    },
+  };
+
+  channel.onmessage = ({ data }) => {
+    if (data.kind === "toTab" && data.to === tabId) {
+      port.onmessage?.({ data: data.message });
+    } else if (data.kind === "leader") {
+      session.replay().forEach(send);
+    }
+  };
+
+  return port;
+}
@@ -0,0 +1,139 @@
+// Compact binary encoding for update frames, shared by server.js, the worker
+// and the tabs. Symbols and field names are replaced by indexes into a
+// dictionary sent once with the snapshot; every value is a Float64.
+//
+// Frame layout (little-endian):
+//   Uint8 frame type | Uint8 version | Uint16 row count
+//   Float64 seq | Float64 prevSeq (NaN if none) | Float64 timestamp
+//   per row: Uint16 symbol index | Uint16 field count
+//            per field: Uint16 field index | Float64 value
+
+// WebSocket subprotocols offered by the worker and picked by the server
+export const BINARY_PROTOCOL = "market.binary.v1";
+export const JSON_PROTOCOL = "market.json.v1";
+
+const FRAME_UPDATE = 1;
+const VERSION = 1;
+const HEADER_SIZE = 28;
+const ROW_HEADER_SIZE = 4;
+const FIELD_SIZE = 10;
+const MAX_INDEX = 0xffff;
+
+// Build lookups for a { symbols, fields } dictionary as sent on the wire
+export function createDictionary({ symbols, fields }) {
+  return {
+    symbols,
+    fields,
+    symbolIndex: new Map(symbols.map((symbol, i) => [symbol, i])),
+    fieldIndex: new Map(fields.map((field, i) => [field, i])),
+  };
+}
+
+// Dictionary covering every symbol and field in a set of snapshot rows
+export function dictionaryFromRows(rows) {
+  const symbols = [];
+  const fields = new Set();
+  for (const row of rows) {
+    symbols.push(row.symbol);
+    for (const field of Object.keys(row)) {
+      if (field !== "symbol") fields.add(field);
+    }
+  }
+  return createDictionary({ symbols, fields: Array.from(fields) });
+}
+
+// The part of a dictionary that goes over the wire
+export function serializeDictionary(dictionary) {
+  return { symbols: dictionary.symbols, fields: dictionary.fields };
+}
+
+// Encode an update message as an ArrayBuffer. Returns null when the
+// dictionary has more entries than a Uint16 can index, or a row has a symbol,
+// field or value the format can't carry, so the caller sends JSON.
+export function encodeUpdate(message, dictionary) {
+  const { data } = message;
+  if (
+    !dictionary ||
+    dictionary.symbols.length > MAX_INDEX + 1 ||
+    dictionary.fields.length > MAX_INDEX + 1 ||
+    data.length > MAX_INDEX
+  ) {
+    return null;
+  }
+
+  let size = HEADER_SIZE;
+  for (const row of data) {
+    if (!dictionary.symbolIndex.has(row.symbol)) return null;
+    let fieldCount = 0;
+    for (const field in row) {
+      if (field === "symbol") continue;
+      if (!dictionary.fieldIndex.has(field)) return null;
+      if (typeof row[field] !== "number") return null;
+      fieldCount++;
+    }
+    if (fieldCount > MAX_INDEX) return null;
+    size += ROW_HEADER_SIZE + fieldCount * FIELD_SIZE;
+  }
+
+  const buffer = new ArrayBuffer(size);
+  const view = new DataView(buffer);
+  view.setUint8(0, FRAME_UPDATE);
+  view.setUint8(1, VERSION);
+  view.setUint16(2, data.length, true);
+  view.setFloat64(4, message.seq ?? NaN, true);
+  view.setFloat64(12, message.prevSeq ?? NaN, true);
+  view.setFloat64(20, message.timestamp ?? NaN, true);
+
+  let offset = HEADER_SIZE;
+  for (const row of data) {
+    view.setUint16(offset, dictionary.symbolIndex.get(row.symbol), true);
+    const countOffset = offset + 2;
+    offset += ROW_HEADER_SIZE;
+    let fieldCount = 0;
+    for (const field in row) {
+      if (field === "symbol") continue;
+      view.setUint16(offset, dictionary.fieldIndex.get(field), true);
+      view.setFloat64(offset + 2, row[field], true);
+      offset += FIELD_SIZE;
+      fieldCount++;
+    }
+    view.setUint16(countOffset, fieldCount, true);
+  }
+
+  return buffer;
+}
+
+// Decode a frame produced by encodeUpdate back into an update message
+export function decodeUpdate(buffer, dictionary) {
+  const view = new DataView(buffer);
+  if (view.getUint8(0) !== FRAME_UPDATE || view.getUint8(1) !== VERSION) {
+    throw new Error(`Unsupported binary frame ${view.getUint8(0)}`);
+  }
+
+  const rowCount = view.getUint16(2, true);
+  const prevSeq = view.getFloat64(12, true);
+  const message = {
+    type: "update",
+    data: new Array(rowCount),
+    timestamp: view.getFloat64(20, true),
+    seq: view.getFloat64(4, true),
+  };
+  if (!Number.isNaN(prevSeq)) message.prevSeq = prevSeq;
+
+  let offset = HEADER_SIZE;
+  for (let i = 0; i < rowCount; i++) {
+    const row = { symbol: dictionary.symbols[view.getUint16(offset, true)] };
+    const fieldCount = view.getUint16(offset + 2, true);
+    offset += ROW_HEADER_SIZE;
+    for (let j = 0; j < fieldCount; j++) {
+      row[dictionary.fields[view.getUint16(offset, true)]] = view.getFloat64(
+        offset + 2,
+        true,
+      );
+      offset += FIELD_SIZE;
+    }
+    message.data[i] = row;
+  }
+
+  return message;
+}
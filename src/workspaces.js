@@ -0,0 +1,40 @@
+// Named workspaces: a grid layout a tab can save in the hub and any tab can
+// load. { name, columnState, filterModel, selection, linkGroup } where
+// columnState is AG Grid's column state (order, width, pinned, sort),
+// filterModel its filter model and selection the selected symbols.
+
+// Link groups, like the colour channels of trading terminals: selecting a
+// symbol in one tab selects it in every other tab in the same group
+export const LINK_GROUPS = ["red", "green", "blue", "yellow"];
+
+export function isLinkGroup(group) {
+  return group === null || LINK_GROUPS.includes(group);
+}
+
+// Returns an error message, or null if the workspace can be saved
+export function validateWorkspace(workspace) {
+  if (!workspace || typeof workspace !== "object") {
+    return "Workspace must be an object";
+  }
+  const { name, columnState, filterModel, selection, linkGroup = null } =
+    workspace;
+  if (typeof name !== "string" || name.trim() === "") {
+    return "Workspace name must be a non-empty string";
+  }
+  if (!Array.isArray(columnState)) {
+    return "Workspace columnState must be an array";
+  }
+  if (filterModel !== null && typeof filterModel !== "object") {
+    return "Workspace filterModel must be an object or null";
+  }
+  if (
+    !Array.isArray(selection) ||
+    !selection.every((symbol) => typeof symbol === "string")
+  ) {
+    return "Workspace selection must be an array of symbols";
+  }
+  if (!isLinkGroup(linkGroup)) {
+    return `Workspace linkGroup must be null or one of ${LINK_GROUPS.join(", ")}`;
+  }
+  return null;
+}
@@ -0,0 +1,167 @@
+// Minimal .xlsx (Office Open XML) writer: one worksheet of strings and
+// numbers, packed into an uncompressed zip. AG Grid's own Excel export is
+// enterprise-only, and this is all the snapshot export needs.
+
+const encoder = new TextEncoder();
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (const byte of bytes) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+const DOS_DATE = (0 << 9) | (1 << 5) | 1; // 1980-01-01; dates live in docProps
+const UTF8_NAMES = 0x0800;
+
+// A zip of stored (uncompressed) files, given as [name, text] pairs
+export function zip(files) {
+  const chunks = [];
+  const central = [];
+  let offset = 0;
+  for (const [name, text] of files) {
+    const nameBytes = encoder.encode(name);
+    const data = encoder.encode(text);
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true); // Version needed
+    local.setUint16(6, UTF8_NAMES, true);
+    local.setUint16(8, 0, true); // Stored
+    local.setUint16(10, 0, true);
+    local.setUint16(12, DOS_DATE, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    local.setUint16(28, 0, true);
+
+    const entry = new DataView(new ArrayBuffer(46));
+    entry.setUint32(0, 0x02014b50, true);
+    entry.setUint16(4, 20, true); // Version made by
+    entry.setUint16(6, 20, true);
+    entry.setUint16(8, UTF8_NAMES, true);
+    entry.setUint16(10, 0, true);
+    entry.setUint16(12, 0, true);
+    entry.setUint16(14, DOS_DATE, true);
+    entry.setUint32(16, crc, true);
+    entry.setUint32(20, data.length, true);
+    entry.setUint32(24, data.length, true);
+    entry.setUint16(28, nameBytes.length, true);
+    entry.setUint32(42, offset, true); // Comment, disk and attributes stay 0
+
+    chunks.push(new Uint8Array(local.buffer), nameBytes, data);
+    central.push(new Uint8Array(entry.buffer), nameBytes);
+    offset += 30 + nameBytes.length + data.length;
+  }
+
+  const centralSize = central.reduce((size, chunk) => size + chunk.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...chunks, ...central, new Uint8Array(end.buffer)];
+  const result = new Uint8Array(parts.reduce((size, part) => size + part.length, 0));
+  let position = 0;
+  for (const part of parts) {
+    result.set(part, position);
+    position += part.length;
+  }
+  return result;
+}
+
+function escapeXml(text) {
+  return text.replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+// A, B, ... Z, AA, AB, ...
+export function columnName(index) {
+  let name = "";
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+function cellXml(value, ref) {
+  if (typeof value === "number") {
+    return Number.isFinite(value) ? `<c r="${ref}"><v>${value}</v></c>` : "";
+  }
+  if (value === null || value === undefined || value === "") return "";
+  const text = escapeXml(String(value));
+  return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${text}</t></is></c>`;
+}
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const MAIN_NS = "http://schemas.openxmlformats.org/spreadsheetml/2006/main";
+const REL_NS = "http://schemas.openxmlformats.org/officeDocument/2006/relationships";
+const PACKAGE_REL_NS = "http://schemas.openxmlformats.org/package/2006/relationships";
+
+// rows is a list of cell value lists, the header row first. Numbers are
+// written as numbers; everything else as text. Returns the file's bytes.
+export function toXlsx(rows, { sheetName = "Sheet1", title = "", created = new Date() } = {}) {
+  const sheetRows = rows.map(
+    (cells, r) =>
+      `<row r="${r + 1}">${cells
+        .map((value, c) => cellXml(value, `${columnName(c)}${r + 1}`))
+        .join("")}</row>`,
+  );
+
+  return zip([
+    [
+      "[Content_Types].xml",
+      XML_HEADER +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+        '<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>' +
+        "</Types>",
+    ],
+    [
+      "_rels/.rels",
+      XML_HEADER +
+        `<Relationships xmlns="${PACKAGE_REL_NS}">` +
+        `<Relationship Id="rId1" Type="${REL_NS}/officeDocument" Target="xl/workbook.xml"/>` +
+        '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>' +
+        "</Relationships>",
+    ],
+    [
+      "docProps/core.xml",
+      XML_HEADER +
+        '<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">' +
+        `<dc:title>${escapeXml(title)}</dc:title>` +
+        `<dcterms:created xsi:type="dcterms:W3CDTF">${created.toISOString()}</dcterms:created>` +
+        "</cp:coreProperties>",
+    ],
+    [
+      "xl/workbook.xml",
+      XML_HEADER +
+        `<workbook xmlns="${MAIN_NS}" xmlns:r="${REL_NS}">` +
+        `<sheets><sheet name="${escapeXml(sheetName)}" sheetId="1" r:id="rId1"/></sheets>` +
+        "</workbook>",
+    ],
+    [
+      "xl/_rels/workbook.xml.rels",
+      XML_HEADER +
+        `<Relationships xmlns="${PACKAGE_REL_NS}">` +
+        `<Relationship Id="rId1" Type="${REL_NS}/worksheet" Target="worksheets/sheet1.xml"/>` +
+        "</Relationships>",
+    ],
+    [
+      "xl/worksheets/sheet1.xml",
+      XML_HEADER +
+        `<worksheet xmlns="${MAIN_NS}"><sheetData>${sheetRows.join("")}</sheetData></worksheet>`,
+    ],
+  ]);
+}
@@ -0,0 +1,55 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { describeRule, ruleFires, validateRule } from "../src/alerts.js";
+
+const rule = (op, value = 100) => ({ symbol: "AAPL", field: "price", op, value });
+
+test("validateRule returns a message or null", () => {
+  assert.equal(validateRule(rule(">")), null);
+  assert.equal(validateRule({ field: "price", op: "crosses", value: 1 }), null);
+  assert.equal(validateRule("AAPL > 1"), "Alert rule must be an object");
+  assert.equal(
+    validateRule({ ...rule(">"), symbol: "" }),
+    "Alert symbol must be a non-empty string or omitted",
+  );
+  assert.equal(validateRule({ ...rule(">"), field: "symbol" }), "Alert field must name a numeric field");
+  assert.match(validateRule(rule("==")), /^Alert op must be one of >, <, >=, <=, crossesAbove/);
+  assert.match(validateRule(rule("toString")), /^Alert op must be one of/);
+  assert.equal(validateRule(rule(">", Infinity)), "Alert value must be a finite number");
+  assert.equal(validateRule(rule(">", "100")), "Alert value must be a finite number");
+});
+
+test("describes rules for people", () => {
+  assert.equal(describeRule(rule(">=")), "AAPL price >= 100");
+  assert.equal(describeRule({ ...rule("crossesBelow", 9.5), symbol: null }), "Any symbol price crosses below 9.5");
+});
+
+test("level rules fire on the tick that makes them true, not after", () => {
+  assert.equal(ruleFires(rule(">"), 99, 101), true);
+  assert.equal(ruleFires(rule(">"), 101, 102), false);
+  assert.equal(ruleFires(rule(">"), 100, 100), false);
+  assert.equal(ruleFires(rule(">="), 99, 100), true);
+  assert.equal(ruleFires(rule("<"), 101, 99), true);
+  assert.equal(ruleFires(rule("<="), 100, 100), false);
+  // Checked for the first time, a level rule fires if it already holds
+  assert.equal(ruleFires(rule(">"), undefined, 150), true);
+  assert.equal(ruleFires(rule(">"), undefined, 50), false);
+});
+
+test("crossing rules fire only when the value passes the level", () => {
+  assert.equal(ruleFires(rule("crossesAbove"), 99, 100), true);
+  assert.equal(ruleFires(rule("crossesAbove"), 100, 101), false);
+  assert.equal(ruleFires(rule("crossesAbove"), 101, 99), false);
+  assert.equal(ruleFires(rule("crossesBelow"), 101, 100), true);
+  assert.equal(ruleFires(rule("crossesBelow"), 99, 101), false);
+  assert.equal(ruleFires(rule("crosses"), 99, 101), true);
+  assert.equal(ruleFires(rule("crosses"), 101, 99), true);
+  assert.equal(ruleFires(rule("crosses"), 101, 102), false);
+  // Without a previous value there's no direction to cross in
+  assert.equal(ruleFires(rule("crosses"), undefined, 150), false);
+});
+
+test("ignores values that aren't numbers", () => {
+  assert.equal(ruleFires(rule(">"), 99, "101"), false);
+  assert.equal(ruleFires(rule("crosses"), 99, undefined), false);
+});
@@ -0,0 +1,124 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { compileExpression, ExpressionError, validateColumn } from "../src/expressions.js";
+
+function evaluate(source, row) {
+  return compileExpression(source).evaluate(row, row, []);
+}
+
+// Feeds values of price through a compiled expression as successive updates
+function run(source, prices) {
+  const { evaluate } = compileExpression(source);
+  const state = [];
+  return prices.map((price) => evaluate({ price }, { price }, state));
+}
+
+test("applies precedence, parentheses and unary minus", () => {
+  const row = { a: 2, b: 3, c: 4 };
+  assert.equal(evaluate("a + b * c", row), 14);
+  assert.equal(evaluate("(a + b) * c", row), 20);
+  assert.equal(evaluate("a - b - c", row), -5);
+  assert.equal(evaluate("c / a * b", row), 6);
+  assert.equal(evaluate("c % b + a", row), 3);
+  assert.equal(evaluate("-a * b", row), -6);
+  assert.equal(evaluate("a - -b", row), 5);
+  assert.equal(evaluate("--a", row), 2);
+  assert.equal(evaluate("-(a + b) * 2", row), -10);
+  assert.equal(evaluate("a * 1.5e1", row), 30);
+  assert.equal(evaluate("round(c / b, 2) + max(a, b, c)", row), 5.33);
+});
+
+test("reports errors at the position they occur", () => {
+  assert.throws(
+    () => compileExpression("bid $ ask"),
+    (error) => error instanceof ExpressionError && error.message === "Unexpected character at position 5",
+  );
+  assert.throws(() => compileExpression("(bid + ask"), {
+    message: 'Expected ")" at position 11',
+  });
+  assert.throws(() => compileExpression("abs(bid, ask"), {
+    message: 'Expected ")" at position 13',
+  });
+  assert.throws(() => compileExpression("bid ask"), {
+    message: "Unexpected input at position 5",
+  });
+  assert.throws(() => compileExpression("bid * "), {
+    message: "Expected a number, field or function at position 7",
+  });
+  assert.throws(() => compileExpression("  "), {
+    message: "Expression must be a non-empty string",
+  });
+  assert.throws(() => compileExpression("1 + 2"), {
+    message: "Expression must reference at least one field",
+  });
+});
+
+test("rejects unknown functions, including prototype names", () => {
+  for (const name of ["nope", "constructor", "toString", "hasOwnProperty", "__proto__"]) {
+    assert.throws(() => compileExpression(`${name}(price)`), {
+      name: "ExpressionError",
+      message: `Unknown function "${name}" at position 1`,
+    });
+  }
+  // As fields they read the row's own values only
+  assert.ok(Number.isNaN(evaluate("toString + price", { price: 1 })));
+  assert.ok(Number.isNaN(evaluate("constructor", { price: 1 })));
+});
+
+test("checks the number of arguments", () => {
+  assert.throws(() => compileExpression("abs(bid, ask)"), {
+    message: 'Wrong number of arguments to "abs" at position 1',
+  });
+  assert.throws(() => compileExpression("bid + pow(ask)"), {
+    message: 'Wrong number of arguments to "pow" at position 7',
+  });
+  assert.throws(() => compileExpression("max(bid)"), {
+    message: 'Wrong number of arguments to "max" at position 1',
+  });
+  assert.equal(evaluate("round(price)", { price: 2.6 }), 3);
+  assert.equal(evaluate("round(price, 1)", { price: 2.66 }), 2.7);
+  for (const source of ["mean(price)", "mean(price, 1)", "mean(price, 1001)", "mean(price, 2.5)", "mean(price, bid)"]) {
+    assert.throws(() => compileExpression(source), {
+      message: '"mean" takes an expression and a window size from 2 to 1000 at position 1',
+    });
+  }
+  assert.throws(() => compileExpression("zscore(2, 5)"), {
+    message: '"zscore" needs an expression of row fields at position 1',
+  });
+});
+
+test("window functions keep the last n values and evict the oldest", () => {
+  assert.deepEqual(run("mean(price, 2)", [1, 2, 3, 10]), [1, 1.5, 2.5, 6.5]);
+  assert.deepEqual(run("stdev(price, 3)", [1, 1, 1, 4, 7]).slice(1), [0, 0, 1.7320508075688772, 3]);
+  const zscores = run("zscore(price, 3)", [5, 1, 2, 3, 4, 8]);
+  assert.ok(Number.isNaN(zscores[0])); // One value has no spread
+  // [1, 2, 3] -> (3 - 2) / 1, [2, 3, 4] -> (4 - 3) / 1, [3, 4, 8] -> (8 - 5) / sqrt(7)
+  assert.deepEqual(zscores.slice(3), [1, 1, 3 / Math.sqrt(7)]);
+});
+
+test("window functions add values only when their fields change", () => {
+  const { evaluate } = compileExpression("mean(price, 5) + volume");
+  const state = [];
+  evaluate({ price: 1, volume: 0 }, { price: 1 }, state);
+  evaluate({ price: 1, volume: 0 }, { volume: 0 }, state);
+  assert.equal(evaluate({ price: 4, volume: 0 }, { price: 4 }, state), 2.5);
+  // Two windows over the same expression keep separate state
+  const twice = compileExpression("mean(price, 2) - mean(price, 3)");
+  const twiceState = [];
+  const values = [3, 6, 9].map((price) => twice.evaluate({ price }, { price }, twiceState));
+  assert.deepEqual(values, [0, 0, 1.5]);
+  assert.equal(twiceState.length, 2);
+});
+
+test("validateColumn returns a message or null", () => {
+  assert.equal(validateColumn({ name: "spread", expression: "ask - bid" }), null);
+  assert.equal(validateColumn(null), "Column must be an object");
+  assert.equal(
+    validateColumn({ name: "1st", expression: "bid" }),
+    "Column name must be a letter or _ followed by letters, digits or _",
+  );
+  assert.equal(validateColumn({ name: "zscore", expression: "bid" }), 'Column name "zscore" is a function name');
+  assert.equal(validateColumn({ name: "abs", expression: "bid" }), 'Column name "abs" is a function name');
+  assert.equal(validateColumn({ name: "x", expression: "bid +" }), "Expected a number, field or function at position 6");
+  assert.equal(validateColumn({ name: "x", expression: 42 }), "Expression must be a non-empty string");
+});
@@ -0,0 +1,11 @@
+// toCsv, toTsv and toXlsxFile need a browser grid; the workbook they write is
+// covered by xlsx.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { exportFileName } from "../src/grid-export.js";
+
+test("names export files after the snapshot's seq and time", () => {
+  const snapshot = { seq: 1234, timestamp: Date.UTC(2025, 0, 31, 9, 30, 0, 5) };
+  assert.equal(exportFileName(snapshot, "csv"), "market-1234-2025-01-31T09-30-00-005Z.csv");
+  assert.equal(exportFileName(snapshot, "xlsx"), "market-1234-2025-01-31T09-30-00-005Z.xlsx");
+});
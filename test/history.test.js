@@ -0,0 +1,42 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  appendPoint,
+  appendSample,
+  createSeries,
+  SAMPLE_INTERVAL,
+  seriesToPoints,
+} from "../src/history.js";
+
+test("keeps the last value in each bucket", () => {
+  const series = createSeries(10);
+  appendSample(series, 1000, 1);
+  appendSample(series, 1500, 2);
+  appendSample(series, 1999, 3);
+  appendSample(series, 2000, 4);
+  assert.deepEqual(seriesToPoints(series), { timestamps: [1999, 2000], values: [3, 4] });
+});
+
+test("drops the oldest points once full, returning the rest oldest first", () => {
+  const series = createSeries(3);
+  for (let i = 0; i < 5; i++) appendSample(series, i * SAMPLE_INTERVAL, i);
+  assert.deepEqual(seriesToPoints(series), {
+    timestamps: [2000, 3000, 4000],
+    values: [2, 3, 4],
+  });
+  // The newest bucket is still updated in place after wrapping
+  appendSample(series, 4500, 9);
+  assert.deepEqual(seriesToPoints(series).values, [2, 3, 9]);
+});
+
+test("appendPoint returns new arrays and leaves the old ones alone", () => {
+  const first = appendPoint(undefined, 1000, 1);
+  assert.deepEqual(first, { timestamps: [1000], values: [1] });
+  const second = appendPoint(first, 1200, 2);
+  assert.deepEqual(second, { timestamps: [1200], values: [2] });
+  assert.deepEqual(first, { timestamps: [1000], values: [1] });
+
+  let points = second;
+  for (let i = 2; i <= 4; i++) points = appendPoint(points, i * SAMPLE_INTERVAL, i, 2);
+  assert.deepEqual(points, { timestamps: [3000, 4000], values: [3, 4] });
+});
@@ -0,0 +1,466 @@
+// Hub protocol tests: real hubs (createHub) with stand-in ports, talking to
+// server.js running in this process. Run with `pnpm test`.
+import { after, afterEach, before, beforeEach, test } from "node:test";
+import assert from "node:assert/strict";
+import { once } from "node:events";
+import { isDeepStrictEqual } from "node:util";
+import WebSocket from "ws";
+import { createHub } from "../src/market-hub.js";
+
+const PORT = 20000 + (process.pid % 10000);
+const ENDPOINT = `ws://localhost:${PORT}`;
+const INSTRUMENTS = 20;
+
+// server.js takes its options from the command line
+process.argv = [
+  process.argv[0],
+  "server.js",
+  "--port", String(PORT),
+  "--instruments", String(INSTRUMENTS),
+  "--fields", "5",
+  "--quiet", // It logs every connection
+];
+const { closeServer, wss } = await import("../server.js");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// The hub logs every port and pong; errors still show
+const logger = { log() {}, warn() {}, error: console.error };
+
+function newHub(options) {
+  return createHub({ WebSocket, logger, ...options });
+}
+
+// Poll until condition() is truthy, failing after timeout ms
+async function waitUntil(condition, message, timeout = 3000) {
+  const deadline = Date.now() + timeout;
+  while (!condition()) {
+    if (Date.now() > deadline) assert.fail(`Timed out: ${message}`);
+    await sleep(5);
+  }
+}
+
+// A stand-in for a tab's MessagePort that records what the hub sends
+function createPort({ autoPong = true } = {}) {
+  const port = {
+    messages: [],
+    onmessage: null,
+    start() {},
+    close() {},
+    postMessage(message) {
+      port.messages.push(message);
+      if (autoPong && message.type === "ping") port.send({ type: "pong" });
+    },
+    send(data) {
+      port.onmessage({ data });
+    },
+    ofType: (type) => port.messages.filter((message) => message.type === type),
+    // The first message of a type matching predicate, from index on
+    async next(type, predicate = () => true, from = 0) {
+      let found;
+      await waitUntil(
+        () =>
+          (found = port.messages
+            .slice(from)
+            .find((message) => message.type === type && predicate(message))),
+        `port never got a matching "${type}"`,
+      );
+      return found;
+    },
+  };
+  return port;
+}
+
+// Timers that only fire when the test advances time
+function createFakeClock(start = Date.now()) {
+  let now = start;
+  let nextId = 1;
+  const timers = new Map(); // Map of id -> { at, callback, every }
+  const add = (callback, delay, every) => {
+    const id = nextId++;
+    timers.set(id, { at: now + delay, callback, every });
+    return id;
+  };
+  return {
+    now: () => now,
+    setTimeout: (callback, delay) => add(callback, delay, null),
+    clearTimeout: (id) => timers.delete(id),
+    setInterval: (callback, delay) => add(callback, delay, delay),
+    clearInterval: (id) => timers.delete(id),
+    // Run every timer due within ms, in order, then move to the end
+    advance(ms) {
+      const end = now + ms;
+      for (;;) {
+        let due = null;
+        for (const [id, timer] of timers) {
+          if (timer.at <= end && (!due || timer.at < due[1].at)) due = [id, timer];
+        }
+        if (!due) break;
+        const [id, timer] = due;
+        now = timer.at;
+        if (timer.every) timer.at += timer.every;
+        else timers.delete(id);
+        timer.callback();
+      }
+      now = end;
+    },
+  };
+}
+
+// With a fake clock, batches only go out when the test moves it on a frame
+// at a time; wait until one reaches port (after index from)
+async function nextFlushed(port, clock, from = 0) {
+  await waitUntil(() => {
+    clock.advance(20);
+    return port.messages.slice(from).some((message) => message.type === "update");
+  }, "no batch went out");
+  return port.messages.slice(from).find((message) => message.type === "update");
+}
+
+// The counters of the port's feed, as the hub reports them
+function feedTotals(port) {
+  port.send({ type: "getDiagnostics" });
+  return port.ofType("diagnostics").at(-1).feeds.find((feed) => feed.mine).totals;
+}
+
+// Every port a test connected, so afterEach can disconnect them
+let openPorts = [];
+
+function connect(hub, options) {
+  const port = createPort(options);
+  hub.connectPort(port);
+  openPorts.push(port);
+  return port;
+}
+
+// Update batches must chain: each one's prevSeq is the seq the port last saw
+function assertUnbroken(port) {
+  let lastSeq = null;
+  for (const message of port.messages) {
+    if (message.type === "initial") {
+      lastSeq = message.seq;
+    } else if (message.type === "update") {
+      assert.equal(message.prevSeq, lastSeq, `batch ${message.seq} skipped one`);
+      lastSeq = message.seq;
+    }
+  }
+}
+
+before(async () => {
+  if (!wss.address()) await once(wss, "listening");
+});
+
+// Every test starts from the server's default settings, whatever the last
+// one changed. The server sends its settings on connect and on every change.
+beforeEach(async () => {
+  const ws = new WebSocket(ENDPOINT);
+  const reset = new Promise((resolve) =>
+    ws.on("message", (data) => {
+      const message = JSON.parse(data);
+      if (
+        message.type === "settings" &&
+        message.frequency === 10 &&
+        message.batchSize.min === 10 &&
+        message.batchSize.max === 30
+      ) {
+        resolve();
+      }
+    }),
+  );
+  await once(ws, "open");
+  ws.send(JSON.stringify({ type: "setFrequency", frequency: 10 }));
+  ws.send(JSON.stringify({ type: "setBatchSize", min: 10, max: 30 }));
+  await reset;
+  ws.close();
+  await waitUntil(() => wss.clients.size === 0, "settings connection still open");
+});
+
+afterEach(async () => {
+  for (const port of openPorts) port.send({ type: "disconnect" });
+  openPorts = [];
+  await waitUntil(() => wss.clients.size === 0, "server still has clients");
+});
+
+after(() => closeServer());
+
+test("fans one upstream connection out to every port", async () => {
+  const hub = newHub();
+  const a = connect(hub);
+  const b = connect(hub);
+  a.send({ type: "init", endpoint: ENDPOINT });
+  b.send({ type: "init", endpoint: ENDPOINT });
+
+  const initial = await a.next("initial");
+  assert.equal(initial.data.length, INSTRUMENTS);
+  assert.equal((await b.next("initial")).data.length, INSTRUMENTS);
+  const update = await a.next("update");
+  const same = await b.next("update", (message) => message.seq === update.seq);
+  assert.deepEqual(same.data, update.data);
+  assert.equal(wss.clients.size, 1);
+});
+
+test("serves late joiners from the hub's copy", async () => {
+  const hub = newHub();
+  const a = connect(hub);
+  a.send({ type: "init", endpoint: ENDPOINT });
+  await a.next("update");
+
+  const late = connect(hub);
+  late.send({ type: "init", endpoint: ENDPOINT });
+  // Snapshot, schema and status arrive at once, without another connection
+  const [initial] = late.ofType("initial");
+  assert.equal(initial.data.length, INSTRUMENTS);
+  assert.ok(late.ofType("schema").length === 1);
+  assert.equal(late.ofType("status")[0].state, "open");
+  assert.equal(wss.clients.size, 1);
+
+  await late.next("update");
+  assertUnbroken(late);
+});
+
+test("answers a subscription with one snapshot, the server's when the feed's changes", async () => {
+  const hub = newHub();
+  const a = connect(hub);
+  a.send({ type: "init", endpoint: ENDPOINT });
+  await a.next("update");
+
+  // Narrowing and widening the feed's subscription, then adding a symbol it has
+  for (const [symbols, expected] of [
+    [["AAPL", "MSFT"], ["AAPL", "MSFT"]],
+    [["AMZN"], ["AAPL", "AMZN", "MSFT"]],
+    [["AAPL"], ["AAPL", "AMZN", "MSFT"]],
+  ]) {
+    const from = a.messages.length;
+    a.send({ type: "subscribe", symbols });
+    const initial = await a.next("initial", () => true, from);
+    // Two batches on, any second snapshot from the server would be here
+    const first = await a.next("update", () => true, a.messages.indexOf(initial));
+    await a.next("update", () => true, a.messages.indexOf(first) + 1);
+    assert.equal(a.messages.slice(from).filter((message) => message.type === "initial").length, 1);
+    assert.deepEqual(initial.data.map((row) => row.symbol).sort(), expected);
+  }
+  assertUnbroken(a);
+});
+
+test("an explicit disconnect stops the port's batches and closes an idle feed", async () => {
+  const hub = newHub();
+  const a = connect(hub);
+  const b = connect(hub);
+  a.send({ type: "init", endpoint: ENDPOINT });
+  b.send({ type: "init", endpoint: ENDPOINT });
+  await a.next("update");
+
+  a.send({ type: "disconnect" });
+  const received = a.messages.length;
+  const seen = b.ofType("update").length;
+  await waitUntil(() => b.ofType("update").length > seen + 2, "b stopped getting batches");
+  assert.equal(a.messages.length, received);
+  assert.equal(wss.clients.size, 1);
+
+  b.send({ type: "disconnect" });
+  await waitUntil(() => wss.clients.size === 0, "feed was not closed");
+});
+
+test("removes ports that stop answering pings", () => {
+  const clock = createFakeClock();
+  const hub = newHub({ clock });
+  const live = connect(hub);
+  const silent = connect(hub, { autoPong: false });
+
+  clock.advance(40000); // Pings every 10s, timeout after 30s
+  live.send({ type: "getDiagnostics" });
+  const [diagnostics] = live.ofType("diagnostics");
+  assert.deepEqual(
+    diagnostics.ports.map((port) => port.id),
+    [diagnostics.portId],
+  );
+
+  const pings = silent.ofType("ping").length;
+  clock.advance(20000);
+  assert.equal(silent.ofType("ping").length, pings);
+  assert.ok(live.ofType("ping").length > pings);
+
+  // It's told to connect again when dropped, and again if it still talks
+  assert.deepEqual(
+    silent.ofType("error").map((error) => error.code),
+    ["UNKNOWN_PORT"],
+  );
+  silent.send({ type: "pong" });
+  assert.equal(silent.ofType("error").at(-1).code, "UNKNOWN_PORT");
+  assert.equal(silent.ofType("error").length, 2);
+});
+
+test("reconnects after the connection drops and resumes without a gap", async () => {
+  const clock = createFakeClock();
+  const hub = newHub({ clock });
+  const a = connect(hub);
+  a.send({ type: "init", endpoint: ENDPOINT });
+  await a.next("initial");
+  await nextFlushed(a, clock);
+
+  const dropped = a.messages.length;
+  for (const ws of wss.clients) ws.terminate();
+  const reconnecting = await a.next(
+    "status",
+    (message) => message.state === "reconnecting",
+    dropped,
+  );
+  clock.advance(reconnecting.nextRetryAt - clock.now());
+  const reopened = await a.next(
+    "status",
+    (message) => message.state === "open",
+    a.messages.indexOf(reconnecting),
+  );
+  await nextFlushed(a, clock, a.messages.indexOf(reopened));
+
+  // The hub resumed from its position, so the port needed no new snapshot
+  assert.equal(a.ofType("initial").length, 1);
+  assertUnbroken(a);
+});
+
+test("coalesces ticks into one batch per frame with the latest values", async () => {
+  const clock = createFakeClock();
+  const hub = newHub({ clock });
+  const a = connect(hub);
+  a.send({ type: "init", endpoint: ENDPOINT });
+  await a.next("initial");
+
+  // Let several server bursts arrive, then slow the feed right down (live
+  // feeds can't pause). Bursts sent before the settings echo arrive ahead
+  // of it, so nothing is in flight after.
+  await waitUntil(() => feedTotals(a).updatesIn >= 5, "no bursts arrived");
+  a.send({ type: "setFrequency", frequency: 10000 });
+  await a.next("settings", (message) => message.frequency === 10000);
+  await assertCoalesced(a, clock);
+});
+
+test("sends a bar's final state when it closes between flushes", async () => {
+  const clock = createFakeClock();
+  const hub = newHub({ clock });
+  const a = connect(hub);
+  a.send({ type: "init", endpoint: ENDPOINT });
+  const { symbol } = (await a.next("initial")).data[0];
+  a.send({ type: "subscribeBars", symbol, interval: "1s" });
+  const { current } = await a.next("bars");
+
+  // The hub's completed bars, as a late joiner gets them
+  const late = connect(hub);
+  late.send({ type: "init", endpoint: ENDPOINT });
+  const completed = () => {
+    late.send({ type: "subscribeBars", symbol, interval: "1s" });
+    return late.ofType("bars").at(-1).bars;
+  };
+
+  // No flush until the clock moves, so 1s bars close in between
+  await waitUntil(
+    () => completed().some((bar) => bar.time > current.time),
+    "no bar closed",
+  );
+  clock.advance(20);
+
+  // The closed bars' final states, then the current one, in time order
+  const sent = a.ofType("bar").map((message) => message.bar);
+  const bars = completed();
+  // Unless it changed since, the port already has the first from "bars"
+  const closed = bars.filter(
+    (bar) =>
+      bar.time > current.time ||
+      (bar.time === current.time && !isDeepStrictEqual(bar, current)),
+  );
+  assert.deepEqual(sent.slice(0, -1), closed);
+  assert.ok(sent.at(-1).time > closed.at(-1).time);
+});
+
+// An alert that fires soon: volume only grows, so its parity flips on about
+// every other trade
+function addParityAlert(port, symbol) {
+  port.send({ type: "addColumn", column: { name: "parity", expression: "volume % 2" } });
+  port.send({
+    type: "addAlert",
+    rule: { symbol, field: "parity", op: ">", value: 0.5 },
+  });
+}
+
+test("sends alerts only to ports that show the symbol", async () => {
+  const hub = newHub();
+  const a = connect(hub);
+  const b = connect(hub);
+  const whole = connect(hub);
+  for (const port of [a, b, whole]) port.send({ type: "init", endpoint: ENDPOINT });
+  const [first, second] = (await a.next("initial")).data;
+  a.send({ type: "subscribe", symbols: [first.symbol] });
+  b.send({ type: "subscribe", symbols: [second.symbol] });
+
+  addParityAlert(a, first.symbol);
+  const { alert } = await a.next("alert");
+  assert.equal(alert.symbol, first.symbol);
+  await whole.next("alert", (message) => message.alert.id === alert.id);
+  assert.equal(b.ofType("alert").length, 0);
+});
+
+test("sends alerts to the port that added the rule, whatever it shows", async () => {
+  const hub = newHub();
+  const owner = connect(hub);
+  const other = connect(hub);
+  for (const port of [owner, other]) port.send({ type: "init", endpoint: ENDPOINT });
+  const [first, second, third] = (await owner.next("initial")).data;
+  owner.send({ type: "subscribe", symbols: [second.symbol] });
+  other.send({ type: "subscribe", symbols: [third.symbol] });
+
+  addParityAlert(owner, first.symbol);
+  const { alert, notify } = await owner.next("alert");
+  assert.equal(alert.symbol, first.symbol);
+  assert.equal(notify, false); // The rule didn't ask for one
+  assert.equal(other.ofType("alert").length, 0);
+});
+
+test("sends alerts nobody shows to every port rather than none", async () => {
+  const hub = newHub();
+  const owner = connect(hub);
+  const a = connect(hub);
+  const b = connect(hub);
+  for (const port of [owner, a, b]) port.send({ type: "init", endpoint: ENDPOINT });
+  const [first, second, third] = (await owner.next("initial")).data;
+  a.send({ type: "subscribe", symbols: [second.symbol] });
+  b.send({ type: "subscribe", symbols: [third.symbol] });
+
+  addParityAlert(owner, first.symbol);
+  await owner.next("alerts");
+  owner.send({ type: "disconnect" });
+  const { alert } = await a.next("alert");
+  assert.equal(alert.symbol, first.symbol);
+  await b.next("alert", (message) => message.alert.id === alert.id);
+});
+
+async function assertCoalesced(a, clock) {
+  assert.equal(a.ofType("update").length, 0);
+
+  clock.advance(20); // One frame
+  const updates = a.ofType("update");
+  assert.equal(updates.length, 1);
+  const symbols = updates[0].data.map((row) => row.symbol);
+  assert.equal(new Set(symbols).size, symbols.length);
+
+  // Each symbol's merged delta matches the server's current row
+  const raw = new WebSocket(ENDPOINT);
+  let snapshot;
+  raw.on("message", (data) => {
+    const message = JSON.parse(data);
+    if (message.type === "initial") snapshot = message.data;
+  });
+  await waitUntil(() => snapshot, "no snapshot from the server");
+  raw.close();
+  const rows = new Map(snapshot.map((row) => [row.symbol, row]));
+  for (const delta of updates[0].data) {
+    for (const [field, value] of Object.entries(delta)) {
+      assert.equal(value, rows.get(delta.symbol)[field], `${delta.symbol}.${field}`);
+    }
+  }
+
+  // More ticks came in than rows went out
+  clock.advance(1000);
+  a.send({ type: "getDiagnostics" });
+  const [{ rates }] = a.ofType("diagnostics").at(-1).feeds;
+  assert.ok(rates.messagesIn > 1);
+  assert.ok(rates.rowsIn > rates.rowsOut);
+}
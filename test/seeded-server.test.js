@@ -0,0 +1,108 @@
+// Seeded runs of server.js must generate the same frames, however its timers
+// happen to fire, which also makes a seeded halt a fixture for the session
+// message. Each server runs as its own process.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import { mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { fileURLToPath } from "node:url";
+import WebSocket from "ws";
+
+const SERVER = fileURLToPath(new URL("../server.js", import.meta.url));
+const BASE_PORT = 30000 + (process.pid % 10000);
+const FRAMES = 50;
+
+function startServer(port, seed, options = ["--instruments", "30", "--profile", "realistic"]) {
+  const server = spawn(
+    process.execPath,
+    [SERVER, "--port", String(port), "--fields", "5", "--seed", String(seed), ...options],
+    { stdio: ["ignore", "pipe", "inherit"] },
+  );
+  return new Promise((resolve, reject) => {
+    let output = "";
+    server.stdout.on("data", (chunk) => {
+      output += chunk;
+      if (output.includes("WebSocket server running")) resolve(server);
+    });
+    server.once("exit", (code) => reject(new Error(`server.js exited with code ${code}`)));
+  });
+}
+
+// The snapshot and the first FRAMES updates, without their wall-clock stamps
+async function collectFrames(port) {
+  const ws = new WebSocket(`ws://localhost:${port}`);
+  const frames = [];
+  await new Promise((resolve, reject) => {
+    ws.on("error", reject);
+    ws.on("message", (data) => {
+      const message = JSON.parse(data);
+      if (message.type === "initial" || message.type === "update") {
+        frames.push({ type: message.type, seq: message.seq, data: message.data });
+      }
+      if (frames.length > FRAMES) resolve();
+    });
+  });
+  ws.close();
+  return frames;
+}
+
+test("the same seed produces the same frames", async () => {
+  const servers = [];
+  try {
+    for (const [i, seed] of [42, 42, 43].entries()) {
+      servers.push(await startServer(BASE_PORT + i, seed));
+    }
+    const [first, second, other] = await Promise.all(
+      servers.map((_, i) => collectFrames(BASE_PORT + i)),
+    );
+    assert.deepEqual(second, first);
+    assert.notDeepEqual(other, first);
+  } finally {
+    servers.forEach((server) => server.kill());
+  }
+});
+
+test("session messages list only the halts a user is entitled to", async () => {
+  const directory = mkdtempSync(join(tmpdir(), "session-test-"));
+  const users = join(directory, "users.json");
+  writeFileSync(
+    users,
+    JSON.stringify({
+      users: [
+        { id: "all", token: "all-token" },
+        { id: "some", token: "some-token", symbols: ["AAPL", "MSFT", "AMZN"] },
+      ],
+    }),
+  );
+  const port = BASE_PORT + 3;
+  // Seed 19 halts INTC in the first frame
+  const server = await startServer(port, 19, ["--instruments", "10", "--profile", "session", "--users", users]);
+  try {
+    const sessions = { all: [], some: [] };
+    const connections = Object.keys(sessions).map((user) => {
+      const ws = new WebSocket(`ws://localhost:${port}?token=${user}-token`);
+      ws.on("message", (data) => {
+        const message = JSON.parse(data);
+        if (message.type === "session") sessions[user].push(message);
+      });
+      return ws;
+    });
+    const deadline = Date.now() + 3000;
+    while (!sessions.all.some(({ halted }) => halted.length > 0)) {
+      assert.ok(Date.now() < deadline, "Timed out waiting for a halt");
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    connections.forEach((ws) => ws.close());
+
+    const { halted } = sessions.all.at(-1);
+    assert.deepEqual(halted, ["INTC"]);
+    assert.ok(sessions.some.length > 0);
+    for (const message of sessions.some) assert.deepEqual(message.halted, []);
+  } finally {
+    server.kill();
+    rmSync(directory, { recursive: true });
+  }
+});
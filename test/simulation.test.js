@@ -0,0 +1,67 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createSimulation, describeFields, parseProfile, PROFILES } from "../simulation.js";
+
+// Small deterministic generator (mulberry32), as server.js uses for --seed
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = Math.imul(state ^ (state >>> 15), state | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+test("parses profile names and combinations", () => {
+  assert.deepEqual(parseProfile("random"), { model: "random" });
+  assert.deepEqual(parseProfile("realistic"), PROFILES.realistic);
+  assert.deepEqual(parseProfile("sectors, bursts"), { model: "gbm", sectors: true, bursts: true });
+  assert.equal(parseProfile("random,gbm"), null);
+  assert.equal(parseProfile("gbm,nope"), null);
+  assert.equal(parseProfile("toString"), null);
+  assert.equal(parseProfile(""), null);
+});
+
+test("describes known fields, metrics and anything else", () => {
+  const [price, metric, other] = describeFields(["price", "metric7", "custom"]);
+  assert.equal(price.format, "currency");
+  assert.deepEqual(metric, {
+    id: "metric7",
+    name: "Metric 7",
+    type: "metric",
+    unit: null,
+    decimals: 2,
+    renderer: "metric",
+    format: "number",
+  });
+  assert.equal(other.type, "number");
+});
+
+test("every profile keeps price above zero and bid < price < ask", () => {
+  const instruments = ["AAPL", "MSFT", "SYM010", "SYM011"];
+  for (const name of Object.keys(PROFILES)) {
+    const random = createRandom(7);
+    let time = 0;
+    const simulation = createSimulation({
+      profile: parseProfile(name),
+      instruments,
+      metricCount: 3,
+      random,
+      now: time,
+    });
+    const check = (row) => {
+      assert.ok(row.price > 0, `${name}: ${row.symbol} price ${row.price}`);
+      assert.ok(row.bid < row.price && row.price < row.ask, `${name}: ${row.symbol} quote out of order`);
+    };
+    Object.values(simulation.rows).forEach(check);
+    for (let frame = 0; frame < 2000; frame++) {
+      time += 50;
+      simulation.beginBatch(time);
+      for (const symbol of instruments) {
+        const tick = simulation.tick(symbol, time);
+        if (tick) check(simulation.rows[symbol]);
+      }
+    }
+  }
+});
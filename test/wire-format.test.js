@@ -0,0 +1,77 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  createDictionary,
+  decodeUpdate,
+  dictionaryFromRows,
+  encodeUpdate,
+  serializeDictionary,
+} from "../src/wire-format.js";
+
+const dictionary = dictionaryFromRows([
+  { symbol: "AAPL", price: 1, bid: 1, ask: 1 },
+  { symbol: "MSFT", price: 1, volume: 1 },
+]);
+
+const update = (data, extra) => ({ type: "update", data, timestamp: 1700000000123, seq: 42, ...extra });
+
+test("builds a dictionary from snapshot rows", () => {
+  assert.deepEqual(serializeDictionary(dictionary), {
+    symbols: ["AAPL", "MSFT"],
+    fields: ["price", "bid", "ask", "volume"],
+  });
+  assert.equal(dictionary.fieldIndex.get("volume"), 3);
+});
+
+test("decodes what it encodes", () => {
+  const message = update(
+    [
+      { symbol: "MSFT", volume: 1e9, price: 412.5 },
+      { symbol: "AAPL", bid: -0.25, ask: NaN },
+      { symbol: "AAPL" },
+    ],
+    { prevSeq: 41 },
+  );
+  const buffer = encodeUpdate(message, dictionary);
+  assert.equal(buffer.byteLength, 28 + 3 * 4 + 4 * 10);
+  // The receiving side only has the dictionary as sent on the wire
+  assert.deepEqual(decodeUpdate(buffer, createDictionary(serializeDictionary(dictionary))), message);
+  // A missing prevSeq stays missing
+  const first = update([{ symbol: "AAPL", price: 1 }]);
+  assert.deepEqual(decodeUpdate(encodeUpdate(first, dictionary), dictionary), first);
+});
+
+test("returns null for updates the format can't carry", () => {
+  const rows = (count) => Array.from({ length: count }, () => ({ symbol: "AAPL" }));
+  for (const [message, dictionaryUsed] of [
+    [update([{ symbol: "AAPL", price: 1 }]), null],
+    [update([{ symbol: "TSLA", price: 1 }]), dictionary],
+    [update([{ symbol: "AAPL", metric1: 1 }]), dictionary],
+    [update([{ symbol: "AAPL", price: "1" }]), dictionary],
+    [update([{ symbol: "AAPL", price: null }]), dictionary],
+    [update(rows(0x10000)), dictionary],
+  ]) {
+    assert.equal(encodeUpdate(message, dictionaryUsed), null);
+  }
+  assert.ok(encodeUpdate(update(rows(0xffff)), dictionary) instanceof ArrayBuffer);
+});
+
+test("falls back to JSON when the dictionary outgrows Uint16 indexes", () => {
+  const names = (count, prefix) => Array.from({ length: count }, (_, i) => `${prefix}${i}`);
+  const message = update([{ symbol: "S0", f0: 1 }]);
+  const fit = createDictionary({ symbols: names(0x10000, "S"), fields: names(0x10000, "f") });
+  assert.ok(encodeUpdate(message, fit) instanceof ArrayBuffer);
+  // Index 0x10000 would wrap to 0, so nothing gets encoded against these
+  for (const oversized of [
+    createDictionary({ symbols: names(0x10001, "S"), fields: ["f0"] }),
+    createDictionary({ symbols: ["S0"], fields: names(0x10001, "f") }),
+  ]) {
+    assert.equal(encodeUpdate(message, oversized), null);
+  }
+});
+
+test("refuses frames of another type or version", () => {
+  const buffer = encodeUpdate(update([{ symbol: "AAPL", price: 1 }]), dictionary);
+  new DataView(buffer).setUint8(1, 2);
+  assert.throws(() => decodeUpdate(buffer, dictionary), /Unsupported binary frame/);
+});
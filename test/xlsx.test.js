@@ -0,0 +1,70 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { columnName, toXlsx, zip } from "../src/xlsx.js";
+
+// Read back a zip of stored files by walking its central directory
+function unzip(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const end = bytes.length - 22;
+  assert.equal(view.getUint32(end, true), 0x06054b50);
+  const count = view.getUint16(end + 10, true);
+  const files = new Map();
+  let entry = view.getUint32(end + 16, true);
+  for (let i = 0; i < count; i++) {
+    assert.equal(view.getUint32(entry, true), 0x02014b50);
+    const size = view.getUint32(entry + 24, true);
+    const nameLength = view.getUint16(entry + 28, true);
+    const offset = view.getUint32(entry + 42, true);
+    const name = new TextDecoder().decode(bytes.subarray(entry + 46, entry + 46 + nameLength));
+    assert.equal(view.getUint32(offset, true), 0x04034b50);
+    const start = offset + 30 + view.getUint16(offset + 26, true);
+    files.set(name, new TextDecoder().decode(bytes.subarray(start, start + size)));
+    entry += 46 + nameLength;
+  }
+  return files;
+}
+
+test("names columns like a spreadsheet", () => {
+  assert.deepEqual(
+    [0, 1, 25, 26, 27, 701, 702].map(columnName),
+    ["A", "B", "Z", "AA", "AB", "ZZ", "AAA"],
+  );
+});
+
+test("zips files so they read back intact, with a correct CRC", () => {
+  const bytes = zip([["a.txt", "hello"], ["dir/ü.xml", "<x/>"]]);
+  const files = unzip(bytes);
+  assert.deepEqual([...files], [["a.txt", "hello"], ["dir/ü.xml", "<x/>"]]);
+  // CRC-32 of "hello"
+  assert.equal(new DataView(bytes.buffer).getUint32(14, true), 0x3610a686);
+});
+
+test("writes a workbook with numbers as numbers and escaped text", () => {
+  const files = unzip(
+    toXlsx(
+      [
+        ["Symbol", "Price"],
+        ["A<B & C", 1.5],
+        ["NaN", NaN],
+      ],
+      { sheetName: "Snapshot 7", title: "Market snapshot 7", created: new Date(0) },
+    ),
+  );
+  assert.deepEqual(
+    [...files.keys()],
+    [
+      "[Content_Types].xml",
+      "_rels/.rels",
+      "docProps/core.xml",
+      "xl/workbook.xml",
+      "xl/_rels/workbook.xml.rels",
+      "xl/worksheets/sheet1.xml",
+    ],
+  );
+  const sheet = files.get("xl/worksheets/sheet1.xml");
+  assert.match(sheet, /<c r="B2"><v>1\.5<\/v><\/c>/);
+  assert.match(sheet, /<t xml:space="preserve">A&#60;B &#38; C<\/t>/);
+  assert.doesNotMatch(sheet, /B3/); // Non-finite numbers are left empty
+  assert.match(files.get("xl/workbook.xml"), /<sheet name="Snapshot 7"/);
+  assert.match(files.get("docProps/core.xml"), /1970-01-01T00:00:00\.000Z/);
+});